@@ -6,6 +6,12 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const logger = require('./src/logger');
 const apiRouter = require('./src/routes/api');
+const { attachVideoSockets } = require('./src/routes/video');
+const deviceService = require('./src/services/deviceService');
+const { loadConfig } = require('./src/config/launchConfig');
+
+// Fail fast on a broken emulator config file instead of on the first register
+loadConfig();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -39,7 +45,12 @@ app.use((err, _req, res, _next) => {
   res.status(err.status || 500).json({ error: err.message || 'Internal Server Error' });
 });
 
-// Start server
-app.listen(PORT, () => {
-  logger.info(`Unified Mobile Emulator API running on http://localhost:${PORT}`);
-});
+// Start server once devices from the previous run are reconciled
+deviceService.restoreRegistry()
+  .catch((err) => logger.error({ err }, 'Device registry restore failed'))
+  .finally(() => {
+    const server = app.listen(PORT, () => {
+      logger.info(`Unified Mobile Emulator API running on http://localhost:${PORT}`);
+    });
+    attachVideoSockets(server);
+  });
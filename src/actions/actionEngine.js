@@ -1,9 +1,17 @@
-const { exec } = require('child_process');
 const { PassThrough } = require('stream');
+const { v4: uuidv4 } = require('uuid');
 const deviceManager = require('../devices/deviceManager');
+const logger = require('../logger');
 const android = require('../platforms/android');
 const ios = require('../platforms/ios');
 const { handleSystemDialogs } = require('../utils/dialogHandler');
+const adbClient = require('../services/adbClient');
+const RouteTask = require('./routeTask');
+const { interpolateRoute } = require('../utils/routeInterpolator');
+const { withoutChildren } = require('../utils/uiHierarchy');
+const { encodeScreenshot } = require('../utils/screenshot');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 async function withDialogHandling(deviceId, action) {
   const device = deviceManager.ensure(deviceId);
@@ -18,6 +26,68 @@ async function withDialogHandling(deviceId, action) {
   return action(device);
 }
 
+// Keep finished route tasks around for inspection, but only the most recent ones
+const MAX_ROUTE_HISTORY = 10;
+
+function pruneRouteTasks(routes) {
+  const done = Object.values(routes).filter(t => !t.active);
+  done.slice(0, Math.max(0, done.length - MAX_ROUTE_HISTORY)).forEach(t => delete routes[t.id]);
+}
+
+// Anything earlier is a relative offset (e.g. interpolated fixes), not a recorded instant
+const ABSOLUTE_TIME_MS = Date.UTC(1980, 0, 1);
+
+/**
+ * Timestamp for each NMEA fix of a route:
+ * 'now' uses the wall clock, 'track' keeps recorded timestamps, and an ISO date / epoch ms
+ * starts a simulated clock there that advances along the route timeline.
+ */
+function routeClock(clock, points, timed, intervalMs) {
+  if (clock === 'now') return () => Date.now();
+  const startedAt = Date.now();
+  const first = points[0]?.time;
+  if (clock === 'track') {
+    return (p) => {
+      if (!Number.isFinite(p.time)) return Date.now();
+      return p.time >= ABSOLUTE_TIME_MS ? p.time : startedAt + (p.time - first);
+    };
+  }
+  const start = typeof clock === 'number' ? clock : Date.parse(clock);
+  return (p, i) => start + (timed ? p.time - first : i * intervalMs);
+}
+
+/**
+ * Does the foreground activity match `expected`?
+ * A RegExp is tested against "package/full.ClassName"; a string is either a component
+ * ("com.app/.Main" or "com.app/com.app.Main") or a bare package / full class name.
+ */
+function activityMatches(current, expected) {
+  if (!current) return false;
+  if (expected instanceof RegExp) return expected.test(current.component);
+  const [pkg, cls] = expected.split('/');
+  if (cls === undefined) return current.package === pkg || current.activity === pkg;
+  return current.package === pkg && current.activity === (cls.startsWith('.') ? `${pkg}${cls}` : cls);
+}
+
+// Screenshot for diagnostics; never fails the caller and never waits more than 15s
+async function screenshotBase64(deviceId) {
+  try {
+    const stream = await ActionEngine.screenshotStream(deviceId);
+    const png = await Promise.race([
+      new Promise((resolve, reject) => {
+        const chunks = [];
+        stream.on('data', (c) => chunks.push(c));
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+        stream.on('error', reject);
+      }),
+      sleep(15000).then(() => { throw new Error('screenshot timed out'); }),
+    ]);
+    return { contentType: 'image/png', base64: png.toString('base64') };
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
 function controllerFor(device) {
   if (device.platform === 'android') return android;
   if (device.platform === 'ios') return ios;
@@ -45,6 +115,107 @@ const ActionEngine = {
         device => controllerFor(device).clickByText(device, {text, exact, index})
     );
   },
+  async uiHierarchy(deviceId, { raw = false } = {}) {
+    const device = deviceManager.ensure(deviceId);
+    const ctrl = controllerFor(device);
+    if (typeof ctrl.dumpUi !== 'function') {
+      const e = new Error('UI inspection not supported on this platform');
+      e.status = 501;
+      throw e;
+    }
+    return raw ? ctrl.dumpUi(device) : ctrl.uiHierarchy(device);
+  },
+  async findElements(deviceId, selector) {
+    const device = deviceManager.ensure(deviceId);
+    const ctrl = controllerFor(device);
+    if (typeof ctrl.findElements !== 'function') {
+      const e = new Error('Element selectors not supported on this platform');
+      e.status = 501;
+      throw e;
+    }
+    return ctrl.findElements(device, selector);
+  },
+  /**
+   * Run an element-targeted action (clickElement, longPressElement, setElementText,
+   * scrollToElement, dragElement) on the device's platform controller.
+   */
+  async elementAction(deviceId, action, payload) {
+    return withDialogHandling(deviceId, (device) => {
+      const ctrl = controllerFor(device);
+      if (typeof ctrl[action] !== 'function') {
+        const e = new Error('Element actions not supported on this platform');
+        e.status = 501;
+        throw e;
+      }
+      return ctrl[action](device, payload);
+    });
+  },
+  /**
+   * Poll the screen until a condition holds or `timeoutMs` passes.
+   * Conditions: `selector` present (or absent with `gone`), or `activity` in the foreground.
+   * On timeout the result carries the last UI hierarchy and a screenshot for diagnosis.
+   */
+  async waitFor(deviceId, { selector, gone = false, activity, timeoutMs = 10000, intervalMs = 500 }) {
+    const device = deviceManager.ensure(deviceId);
+    const ctrl = controllerFor(device);
+    if (typeof ctrl.findElements !== 'function') {
+      const e = new Error('Waiting for UI conditions is not supported on this platform');
+      e.status = 501;
+      throw e;
+    }
+
+    const startedAt = Date.now();
+    let polls = 0;
+    let lastError = null;
+    let current = null;
+    for (;;) {
+      polls++;
+      try {
+        if (activity !== undefined) {
+          current = await ctrl.foregroundActivity(device);
+          if (activityMatches(current, activity)) {
+            return { ok: true, elapsedMs: Date.now() - startedAt, polls, activity: current };
+          }
+        } else {
+          const matches = await ctrl.findElements(device, selector);
+          if (gone ? matches.length === 0 : matches.length > 0) {
+            return { ok: true, elapsedMs: Date.now() - startedAt, polls, count: matches.length, matches: matches.map(withoutChildren) };
+          }
+        }
+        lastError = null;
+      } catch (e) {
+        // A bad selector will not get better; transient dump failures might
+        if (e.status === 400) throw e;
+        lastError = e.message;
+      }
+      const remaining = timeoutMs - (Date.now() - startedAt);
+      if (remaining <= 0) break;
+      await sleep(Math.min(intervalMs, remaining));
+    }
+
+    const hierarchy = await ctrl.uiHierarchy(device).catch((e) => ({ error: e.message }));
+    if (activity !== undefined) current = await ctrl.foregroundActivity(device);
+    return {
+      ok: false,
+      timedOut: true,
+      elapsedMs: Date.now() - startedAt,
+      polls,
+      lastError,
+      activity: current,
+      hierarchy,
+      screenshot: await screenshotBase64(deviceId),
+    };
+  },
+  async gesture(deviceId, payload) {
+    const device = deviceManager.ensure(deviceId);
+    const ctrl = controllerFor(device);
+    if (typeof ctrl.gesture !== 'function') {
+      const e = new Error('Multi-touch gestures not supported on this platform');
+      e.status = 501;
+      throw e;
+    }
+    return ctrl.gesture(device, payload);
+  },
   async swipe(deviceId, payload) {
     const device = deviceManager.ensure(deviceId);
     const ctrl = controllerFor(device);
@@ -55,6 +226,16 @@ const ActionEngine = {
     const ctrl = controllerFor(device);
     return ctrl.type(device, payload);
   },
+  async pressKeys(deviceId, payload) {
+    const device = deviceManager.ensure(deviceId);
+    const ctrl = controllerFor(device);
+    if (typeof ctrl.pressKeys !== 'function') {
+      const e = new Error('Key events not supported on this platform');
+      e.status = 501;
+      throw e;
+    }
+    return ctrl.pressKeys(device, payload);
+  },
   async back(deviceId) {
     const device = deviceManager.ensure(deviceId);
     const ctrl = controllerFor(device);
@@ -85,37 +266,132 @@ const ActionEngine = {
     const ctrl = controllerFor(device);
     return ctrl.setGPS(device, payload);
   },
-  async simulateRoute(deviceId, {points, intervalMs = 1500, loop = false}) {
+  async simulateRoute(deviceId, {points, intervalMs = 1500, loop = false, useTimestamps = true, playbackRate = 1, interpolation, noise, clock = 'now'}) {
+    // Noise is applied to interpolated fixes only; a plain replay would silently drop it
+    if (noise !== undefined && !interpolation) {
+      throw Object.assign(new Error("'noise' needs 'interpolation'"), { status: 400 });
+    }
     const device = deviceManager.ensure(deviceId);
     if (!device.tasks.route) device.tasks.route = {};
     const ctrl = controllerFor(device);
-    const taskId = `route-${Date.now()}`;
-    let idx = 0;
 
-    const tick = async () => {
-      try {
-        if (!points || points.length === 0) return;
-        const p = points[idx];
-        await ctrl.setGPS(device, {lat: p.lat, lon: p.lon});
-        idx += 1;
-        if (idx >= points.length) {
-          if (loop) idx = 0; else clearInterval(device.tasks.route[taskId]);
-        }
-      } catch (e) {
-        clearInterval(device.tasks.route[taskId]);
-      }
-    };
+    // A device can only follow one route at a time
+    for (const running of Object.values(device.tasks.route)) {
+      if (running.active) running.cancel();
+    }
+    pruneRouteTasks(device.tasks.route);
+
+    // Interpolation resamples the polyline into evenly timed fixes at a target speed profile
+    if (interpolation) {
+      points = interpolateRoute(points, interpolation, noise);
+      useTimestamps = true;
+    }
 
-    device.tasks.route[taskId] = setInterval(tick, intervalMs);
-    return {ok: true, taskId};
+    // Recorded tracks (GPX/KML/GeoJSON/NMEA) carry timestamps: replay them with the original
+    // spacing between fixes, optionally sped up by playbackRate. Otherwise use a fixed interval.
+    const timed = useTimestamps && points.length > 1 && points.every(p => Number.isFinite(p.time));
+    const fixTime = routeClock(clock, points, timed, intervalMs);
+    const task = new RouteTask({
+      id: uuidv4(),
+      deviceId: device.id,
+      points,
+      intervalMs,
+      loop,
+      timed,
+      playbackRate,
+      sendFix: (p, i) => ctrl.setGPS(device, {
+        lat: p.lat, lon: p.lon, altitude: p.ele, speed: p.speed, bearing: p.bearing, time: fixTime(p, i),
+      }),
+    });
+    device.tasks.route[task.id] = task.start();
+    return {ok: true, taskId: task.id, timed, pointsCount: points.length};
+  },
+  /**
+   * Emulator console controls (sensor, power, network, sms).
+   */
+  async emulatorAction(deviceId, action, payload) {
+    const device = deviceManager.ensure(deviceId);
+    const ctrl = controllerFor(device);
+    if (typeof ctrl[action] !== 'function') {
+      const e = new Error('Emulator controls not supported on this platform');
+      e.status = 501;
+      throw e;
+    }
+    return ctrl[action](device, payload);
+  },
+  async sendNmea(deviceId, sentences) {
+    const device = deviceManager.ensure(deviceId);
+    const ctrl = controllerFor(device);
+    if (typeof ctrl.sendNmea !== 'function') {
+      const e = new Error('NMEA input not supported on this platform');
+      e.status = 501;
+      throw e;
+    }
+    return ctrl.sendNmea(device, sentences);
+  },
+  listRoutes(deviceId) {
+    const device = deviceManager.ensure(deviceId);
+    return Object.values(device.tasks.route || {}).map(t => t.toJSON());
+  },
+  getRoute(deviceId, taskId) {
+    const device = deviceManager.ensure(deviceId);
+    const task = device.tasks.route?.[taskId];
+    if (!task) throw Object.assign(new Error('Route task not found'), { status: 404 });
+    return task;
+  },
+  controlRoute(deviceId, taskId, action, {index} = {}) {
+    const task = this.getRoute(deviceId, taskId);
+    if (action === 'pause') task.pause();
+    else if (action === 'resume') task.resume();
+    else if (action === 'seek') task.seek(index);
+    else if (action === 'cancel') task.cancel();
+    else throw Object.assign(new Error(`Unknown route action '${action}'`), { status: 400 });
+    return task.toJSON();
+  },
+  /**
+   * Capture raw pixels and encode them on the host (see utils/screenshot.js for options).
+   * Skips the device checks and dialog handling of screenshotStream, so it suits frequent captures.
+   */
+  async screenshot(deviceId, options) {
+    const device = deviceManager.ensure(deviceId);
+    const ctrl = controllerFor(device);
+    if (typeof ctrl.rawScreenshot !== 'function') {
+      const e = new Error('Screenshot options not supported on this platform');
+      e.status = 501;
+      throw e;
+    }
+    return encodeScreenshot(await ctrl.rawScreenshot(device), options);
+  },
+  /**
+   * One run of the device's H.264 screen stream (see services/screenStreamService.js).
+   */
+  async videoStream(deviceId, options) {
+    const device = deviceManager.ensure(deviceId);
+    const ctrl = controllerFor(device);
+    if (typeof ctrl.videoStream !== 'function') {
+      const e = new Error('Video streaming not supported on this platform');
+      e.status = 501;
+      throw e;
+    }
+    return ctrl.videoStream(device, options);
+  },
+  /**
+   * Status and navigation bar regions, for ignoring them in screenshot comparisons.
+   */
+  async systemBars(deviceId, screen) {
+    const device = deviceManager.ensure(deviceId);
+    const ctrl = controllerFor(device);
+    if (typeof ctrl.systemBars !== 'function') {
+      const e = new Error('System bar regions not supported on this platform');
+      e.status = 501;
+      throw e;
+    }
+    return ctrl.systemBars(device, screen);
   },
   async screenshotStream(deviceId, retryCount = 0) {
     const MAX_RETRIES = 3;
     const device = deviceManager.ensure(deviceId);
     const serial = device?.meta?.deviceId;
-    const {promisify} = require('util');
-    const {exec} = require('child_process');
-    const execAsync = promisify(exec);
 
     if (!serial) {
       throw new Error('Device serial number is not available');
@@ -126,13 +402,13 @@ const ActionEngine = {
     // First, ensure the emulator is responsive
     try {
       // Check if device is online
-      const {stdout: devices} = await execAsync('adb devices');
-      if (!devices.includes(serial)) {
+      const devices = await adbClient.devices();
+      if (!devices.has(serial)) {
         throw new Error('Device not found in adb devices');
       }
 
       // Check if device is booted
-      const {stdout: bootStatus} = await execAsync(`adb -s ${serial} shell getprop sys.boot_completed`);
+      const bootStatus = await adbClient.shell(serial, ['getprop', 'sys.boot_completed']);
       if (bootStatus.trim() !== '1') {
         throw new Error('Device not fully booted');
       }
@@ -158,87 +434,16 @@ const ActionEngine = {
 
     try {
       // Try direct screencap first (faster)
-      const command = `adb -s ${serial} exec-out screencap -p`;
-      console.log(`[${serial}] Executing: ${command}`);
-
-      const proc = exec(command, {
-        encoding: 'buffer',
-        maxBuffer: 20 * 1024 * 1024, // 20MB buffer for large screenshots
-        timeout: 10000 // 10 second timeout
-      });
-
+      const png = await adbClient.execOut(serial, ['screencap', '-p'], { timeout: 15000 });
+      if (!png.length) {
+        throw new Error('No screenshot data received');
+      }
+      logger.debug(`[${serial}] Captured ${png.length} bytes of screenshot data`);
       const stream = new PassThrough();
-      let stderr = '';
-      let stdoutLength = 0;
-      let hasData = false;
-
-      // Set a timeout for the entire operation
-      const timeout = setTimeout(() => {
-        if (!hasData) {
-          proc.kill();
-          stream.emit('error', new Error('Screenshot operation timed out'));
-        }
-      }, 15000);
-
-      proc.stdout.on('data', (chunk) => {
-        if (!hasData) hasData = true;
-        stdoutLength += chunk.length;
-        stream.write(chunk);
-      });
-
-      proc.stderr.on('data', (data) => {
-        const errorMsg = data.toString().trim();
-        if (errorMsg) {
-          stderr += errorMsg;
-          console.error(`[${serial}] stderr:`, errorMsg);
-        }
-      });
-
-      return new Promise((resolve, reject) => {
-        proc.on('close', (code) => {
-          clearTimeout(timeout);
-
-          if (code !== 0 || !hasData) {
-            const error = new Error(
-                code !== 0
-                    ? `screencap failed with code ${code}: ${stderr || 'No error details'}`
-                    : 'No screenshot data received'
-            );
-
-            if (retryCount < MAX_RETRIES - 1) {
-              console.warn(`[${serial}] ${error.message}, retrying...`);
-              setTimeout(() => {
-                resolve(this.screenshotStream(deviceId, retryCount + 1));
-              }, 1000);
-            } else {
-              console.error(`[${serial}] Failed after ${MAX_RETRIES} attempts:`, error.message);
-              reject(error);
-            }
-            return;
-          }
-
-          console.log(`[${serial}] Captured ${stdoutLength} bytes of screenshot data`);
-          stream.end();
-          resolve(stream);
-        });
-
-        proc.on('error', (err) => {
-          clearTimeout(timeout);
-          console.error(`[${serial}] Process error:`, err.message);
-
-          if (retryCount < MAX_RETRIES - 1) {
-            console.log(`[${serial}] Retrying after error...`);
-            setTimeout(() => {
-              resolve(this.screenshotStream(deviceId, retryCount + 1));
-            }, 1000);
-          } else {
-            reject(new Error(`Failed to capture screenshot: ${err.message}`));
-          }
-        });
-      });
-
+      stream.end(png);
+      return stream;
     } catch (error) {
-      console.error(`[${serial}] Error in screenshot capture:`, error);
+      console.error(`[${serial}] Error in screenshot capture:`, error.message);
 
       if (retryCount < MAX_RETRIES - 1) {
         console.log(`[${serial}] Retrying after error...`);
@@ -0,0 +1,170 @@
+const logger = require('../logger');
+
+function taskError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * A GPS route simulation running against one device.
+ * State: running -> paused <-> running -> finished | failed | cancelled.
+ * Plays `points` one fix at a time through `sendFix`, either at a fixed interval or
+ * following the points' own timestamps, and keeps enough state to inspect and steer it.
+ */
+class RouteTask {
+  constructor({ id, deviceId, points, sendFix, intervalMs = 1500, loop = false, timed = false, playbackRate = 1 }) {
+    this.id = id;
+    this.deviceId = deviceId;
+    this.points = points;
+    this.sendFix = sendFix;
+    this.intervalMs = intervalMs;
+    this.loop = loop;
+    this.timed = timed;
+    this.playbackRate = playbackRate;
+
+    this.state = 'running';
+    this.index = 0;
+    this.ticks = 0;
+    this.lastPosition = null;
+    this.lastError = null;
+    this.startedAt = new Date().toISOString();
+    this.updatedAt = this.startedAt;
+    this.endedAt = null;
+    this.timer = null;
+    // A fix is being sent; the tick sending it schedules the next one
+    this.inFlight = false;
+  }
+
+  start() {
+    this.schedule(this.timed ? 0 : this.intervalMs);
+    return this;
+  }
+
+  get active() {
+    return this.state === 'running' || this.state === 'paused';
+  }
+
+  delayAfter(i) {
+    if (!this.timed || i + 1 >= this.points.length) return this.intervalMs;
+    return Math.max(0, (this.points[i + 1].time - this.points[i].time) / this.playbackRate);
+  }
+
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  async tick() {
+    this.timer = null;
+    if (this.state !== 'running') return;
+    const i = this.index;
+    const p = this.points[i];
+    this.inFlight = true;
+    try {
+      await this.sendFix(p, i);
+    } catch (e) {
+      this.fail(e);
+      return;
+    } finally {
+      this.inFlight = false;
+    }
+    // pause/seek/cancel may have happened while the fix was in flight
+    if (this.state !== 'running') return;
+
+    this.ticks += 1;
+    this.lastPosition = { ...p, index: i, at: new Date().toISOString() };
+    this.touch();
+
+    if (this.index !== i) {
+      // seek() moved the cursor during the fix; continue from there
+      this.schedule(this.intervalMs);
+      return;
+    }
+    const delay = this.delayAfter(i);
+    this.index = i + 1;
+    if (this.index >= this.points.length) {
+      if (!this.loop) {
+        this.end('finished');
+        return;
+      }
+      this.index = 0;
+    }
+    this.schedule(delay);
+  }
+
+  pause() {
+    if (this.state === 'paused') return this;
+    if (this.state !== 'running') throw taskError(`Route task is ${this.state}`, 409);
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.state = 'paused';
+    this.touch();
+    return this;
+  }
+
+  resume() {
+    if (this.state === 'running') return this;
+    if (this.state !== 'paused') throw taskError(`Route task is ${this.state}`, 409);
+    this.state = 'running';
+    this.touch();
+    // Paused mid-fix: that tick sees 'running' again when the fix lands and carries on
+    if (!this.inFlight) this.schedule(0);
+    return this;
+  }
+
+  seek(index) {
+    if (!this.active) throw taskError(`Route task is ${this.state}`, 409);
+    if (!Number.isInteger(index) || index < 0 || index >= this.points.length) {
+      throw taskError(`'index' must be an integer between 0 and ${this.points.length - 1}`, 400);
+    }
+    this.index = index;
+    this.touch();
+    if (this.state === 'running' && this.timer) this.schedule(0);
+    return this;
+  }
+
+  cancel() {
+    if (!this.active) return this;
+    this.end('cancelled');
+    return this;
+  }
+
+  fail(err) {
+    this.lastError = { message: err?.message || String(err), at: new Date().toISOString() };
+    logger.warn(`Route task ${this.id} on device ${this.deviceId} failed: ${this.lastError.message}`);
+    this.end('failed');
+  }
+
+  end(state) {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.state = state;
+    this.endedAt = new Date().toISOString();
+    this.touch();
+  }
+
+  touch() {
+    this.updatedAt = new Date().toISOString();
+  }
+
+  toJSON() {
+    return {
+      taskId: this.id,
+      deviceId: this.deviceId,
+      state: this.state,
+      index: this.index,
+      pointsCount: this.points.length,
+      ticks: this.ticks,
+      loop: this.loop,
+      timed: this.timed,
+      intervalMs: this.intervalMs,
+      playbackRate: this.playbackRate,
+      lastPosition: this.lastPosition,
+      lastError: this.lastError,
+      startedAt: this.startedAt,
+      updatedAt: this.updatedAt,
+      endedAt: this.endedAt,
+    };
+  }
+}
+
+module.exports = RouteTask;
@@ -0,0 +1,186 @@
+// src/config/launchConfig.js
+// Emulator launch options: built-in defaults < config file defaults < named profile < per-request overrides.
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '../../emulator.config.json');
+
+const GPU_MODES = ['auto', 'auto-no-window', 'host', 'swiftshader_indirect', 'angle_indirect', 'guest'];
+const ACCEL_MODES = ['on', 'off', 'auto'];
+// none: never load or save (clean boot); cold: boot cold but save on exit; quickboot: load and save
+const SNAPSHOT_MODES = ['none', 'cold', 'quickboot'];
+
+// Emulator flags accepted in `extraArgs`, with the number of values each one takes
+const EXTRA_FLAGS = {
+  '-no-audio': 0,
+  '-no-boot-anim': 0,
+  '-netfast': 0,
+  '-no-metrics': 0,
+  '-verbose': 0,
+  '-show-kernel': 0,
+  '-no-sim': 0,
+  '-camera-back': 1,
+  '-camera-front': 1,
+  '-feature': 1,
+  '-netdelay': 1,
+  '-netspeed': 1,
+  '-timezone': 1,
+  '-locale': 1,
+};
+const EXTRA_VALUE_RE = /^[A-Za-z0-9_.,:+/-]{1,128}$/;
+
+// Matches what the API always launched with before profiles existed
+const BUILTIN_DEFAULTS = {
+  memoryMb: 4096,
+  cores: 4,
+  gpu: 'auto',
+  accel: 'on',
+  headless: process.env.EMULATOR_HEADLESS === undefined
+    ? true
+    : String(process.env.EMULATOR_HEADLESS).toLowerCase() === 'true',
+  wipeData: true,
+  readOnly: true,
+  snapshot: 'none',
+  extraArgs: [
+    '-no-audio', '-no-boot-anim', '-netfast',
+    '-camera-back', 'none', '-camera-front', 'none',
+    '-feature', '-Vulkan',
+  ],
+};
+
+function configError(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function checkInt(value, field, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw configError(`'${field}' must be an integer between ${min} and ${max}`);
+  }
+}
+
+function checkEnum(value, field, allowed) {
+  if (!allowed.includes(value)) throw configError(`'${field}' must be one of ${allowed.join(', ')}`);
+}
+
+function checkExtraArgs(args, field) {
+  if (!Array.isArray(args)) throw configError(`'${field}' must be an array of emulator flags`);
+  for (let i = 0; i < args.length; i++) {
+    const flag = args[i];
+    if (!Object.prototype.hasOwnProperty.call(EXTRA_FLAGS, flag)) {
+      throw configError(`'${field}': flag '${flag}' is not allowed (allowed: ${Object.keys(EXTRA_FLAGS).join(' ')})`);
+    }
+    for (let k = 0; k < EXTRA_FLAGS[flag]; k++) {
+      i += 1;
+      if (typeof args[i] !== 'string' || !EXTRA_VALUE_RE.test(args[i])) {
+        throw configError(`'${field}': flag '${flag}' needs a plain value`);
+      }
+    }
+  }
+}
+
+/**
+ * Validate one layer of launch options against the allowlist.
+ * @param {object} options
+ * @param {string} where label used in error messages ('launch', 'profiles.ci', ...)
+ * @param {{allowFileOnly?: boolean}} [opts]
+ * @returns {object} the same options
+ */
+function validateLaunchOptions(options, where = 'launch', { allowFileOnly = false } = {}) {
+  if (options === undefined) return {};
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw configError(`'${where}' must be an object`);
+  }
+  for (const [key, value] of Object.entries(options)) {
+    const field = `${where}.${key}`;
+    switch (key) {
+      case 'memoryMb': checkInt(value, field, 512, 65536); break;
+      case 'cores': checkInt(value, field, 1, 64); break;
+      case 'density': checkInt(value, field, 120, 640); break;
+      case 'gpu': checkEnum(value, field, GPU_MODES); break;
+      case 'accel': checkEnum(value, field, ACCEL_MODES); break;
+      case 'snapshot': checkEnum(value, field, SNAPSHOT_MODES); break;
+      case 'headless':
+      case 'wipeData':
+      case 'readOnly':
+        if (typeof value !== 'boolean') throw configError(`'${field}' must be a boolean`);
+        break;
+      case 'resolution':
+        if (typeof value !== 'string' || !/^\d{3,4}x\d{3,4}$/.test(value)) {
+          throw configError(`'${field}' must look like '1080x1920'`);
+        }
+        break;
+      case 'extraArgs': checkExtraArgs(value, field); break;
+      case 'bootSnapshot':
+        if (typeof value !== 'string' || !/^[A-Za-z0-9._-]{1,64}$/.test(value)) {
+          throw configError(`'${field}' must be a snapshot name (letters, digits, '.', '_' or '-')`);
+        }
+        break;
+      case 'sdkRoot':
+        // Only the config file may point at a different SDK; requests must not choose binaries to execute
+        if (!allowFileOnly) throw configError(`'${field}' can only be set in the config file`);
+        if (typeof value !== 'string' || !path.isAbsolute(value)) throw configError(`'${field}' must be an absolute path`);
+        break;
+      default:
+        throw configError(`Unknown launch option '${field}'`);
+    }
+  }
+  return options;
+}
+
+let cached;
+
+/**
+ * Load and validate the config file (EMULATOR_CONFIG_FILE, default ./emulator.config.json).
+ * A missing file means built-in defaults only; an invalid one fails loudly.
+ * @returns {{defaults: object, profiles: Object<string, object>, file: string|null}}
+ */
+function loadConfig({ reload = false } = {}) {
+  if (cached && !reload) return cached;
+  const file = path.resolve(process.env.EMULATOR_CONFIG_FILE || DEFAULT_CONFIG_FILE);
+  let raw = {};
+  if (fs.existsSync(file)) {
+    try {
+      raw = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (e) {
+      throw Object.assign(new Error(`Invalid emulator config ${file}: ${e.message}`), { status: 500 });
+    }
+  }
+  let defaults;
+  const profiles = {};
+  try {
+    defaults = validateLaunchOptions(raw.defaults, 'defaults', { allowFileOnly: true });
+    for (const [name, options] of Object.entries(raw.profiles || {})) {
+      profiles[name] = validateLaunchOptions(options, `profiles.${name}`, { allowFileOnly: true });
+    }
+  } catch (e) {
+    // A broken config file is a server problem, not the request's (configError is 400)
+    throw Object.assign(new Error(`Invalid emulator config ${file}: ${e.message}`), { status: 500 });
+  }
+  cached = { defaults: { ...BUILTIN_DEFAULTS, ...defaults }, profiles, file: fs.existsSync(file) ? file : null };
+  logger.debug(`Emulator launch config loaded (${Object.keys(profiles).length} profile(s))`);
+  return cached;
+}
+
+/**
+ * Merge defaults, the named profile and request overrides into the options for one launch.
+ * @param {{profile?: string, launch?: object}} [request]
+ */
+function resolveLaunchOptions({ profile, launch } = {}) {
+  const config = loadConfig();
+  if (profile !== undefined && !Object.prototype.hasOwnProperty.call(config.profiles, profile)) {
+    const e = configError(`Unknown launch profile '${profile}'`);
+    e.status = 404;
+    throw e;
+  }
+  const overrides = validateLaunchOptions(launch, 'launch');
+  return {
+    ...config.defaults,
+    ...(profile !== undefined ? config.profiles[profile] : {}),
+    ...overrides,
+    ...(profile !== undefined ? { profile } : {}),
+  };
+}
+
+module.exports = { loadConfig, resolveLaunchOptions, validateLaunchOptions, EXTRA_FLAGS };
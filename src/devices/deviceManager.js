@@ -1,23 +1,80 @@
 const { v4: uuidv4 } = require('uuid');
 
+const DEFAULT_LEASE_TTL_MS = Number(process.env.DEVICE_LEASE_TTL_MS) || 5 * 60 * 1000;
+const MAX_LEASE_TTL_MS = Number(process.env.DEVICE_LEASE_MAX_TTL_MS) || 60 * 60 * 1000;
+const LEASE_SWEEP_INTERVAL_MS = 5000;
+
+function leaseError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+function clampTtl(ttlMs) {
+  const ttl = Number(ttlMs);
+  if (!Number.isFinite(ttl) || ttl <= 0) return DEFAULT_LEASE_TTL_MS;
+  return Math.min(ttl, MAX_LEASE_TTL_MS);
+}
+
 class DeviceManager {
   constructor() {
     this.devices = new Map();
+    this.sweepTimer = null;
+    this.store = null;
+    this.persistTimer = null;
+  }
+
+  /**
+   * Persist the registry through `store` ({ load(), save(records) }) from now on.
+   */
+  useStore(store) {
+    this.store = store;
+    // A change made in the same tick as exit would otherwise never reach the store
+    process.once('exit', () => { if (this.persistTimer) this.flush(); });
+  }
+
+  // Runtime-only state (route timers, sessions) is not persisted
+  toRecord(d) {
+    const { tasks, session, ...record } = d;
+    return record;
+  }
+
+  // Coalesced: a burst of updates (e.g. the lease sweep) ends in one write on the next tick
+  persist() {
+    if (!this.store || this.persistTimer) return;
+    this.persistTimer = setImmediate(() => this.flush());
+  }
+
+  flush() {
+    clearImmediate(this.persistTimer);
+    this.persistTimer = null;
+    if (this.store) this.store.save(this.list().map((d) => this.toRecord(d)));
+  }
+
+  /**
+   * Put previously persisted devices back into the registry, keeping their ids.
+   */
+  restore(records) {
+    for (const r of records) {
+      this.devices.set(r.id, { ...r, session: {}, tasks: {} });
+    }
+    if (this.list().some((d) => d.lease)) this.ensureSweeper();
+    this.persist();
   }
 
-  register({ platform, proxy, meta }) {
+  register({ platform, proxy, meta, status }) {
     const id = uuidv4();
     const device = {
       id,
       platform, // 'android' | 'ios'
       proxy: proxy || null,
-      status: 'ready',
+      status: status || 'ready',
       session: {},
       tasks: {},
       meta: meta || {},
+      lease: null,
       createdAt: new Date().toISOString(),
     };
     this.devices.set(id, device);
+    this.persist();
     return device;
   }
 
@@ -34,17 +91,145 @@ class DeviceManager {
     if (!d) return null;
     const updated = { ...d, ...patch };
     this.devices.set(id, updated);
+    this.persist();
     return updated;
   }
 
-  ensure(id) {
+  /**
+   * @param {{leaseId?: string}} [holder] when given, a device leased to someone else is
+   *   refused (see assertUsableBy)
+   */
+  ensure(id, holder) {
     const d = this.get(id);
     if (!d) throw new Error('Device not found');
+    if (holder) this.assertUsableBy(d, holder);
     return d;
   }
 
+  remove(id) {
+    const removed = this.devices.delete(id);
+    if (removed) this.persist();
+    return removed;
+  }
+
   clear() {
     this.devices.clear();
+    this.persist();
+  }
+
+  /**
+   * Lease a free device exclusively.
+   * Picks the requested device (or the oldest free one matching `platform`) and marks it
+   * as owned by `owner` until `ttlMs` elapses without a renew.
+   * @returns {object|null} the leased device, or null when nothing is free
+   */
+  acquire({ platform, owner, ttlMs, deviceId } = {}) {
+    this.sweepExpiredLeases();
+
+    let candidates;
+    if (deviceId) {
+      const d = this.get(deviceId);
+      if (!d) throw leaseError('Device not found', 404);
+      candidates = [d];
+    } else {
+      candidates = this.list().filter((d) => !platform || d.platform === platform);
+    }
+
+    const free = candidates.find((d) => !d.lease && d.status === 'ready');
+    if (!free) return null;
+
+    const ttl = clampTtl(ttlMs);
+    const now = Date.now();
+    const lease = {
+      leaseId: uuidv4(),
+      owner: owner || 'anonymous',
+      ttlMs: ttl,
+      acquiredAt: new Date(now).toISOString(),
+      renewedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttl).toISOString(),
+    };
+    this.ensureSweeper();
+    return this.update(free.id, { lease });
+  }
+
+  /**
+   * Extend a lease (heartbeat). Caller must present the current lease id.
+   */
+  renew(id, { leaseId, ttlMs } = {}) {
+    const d = this.get(id);
+    if (!d) throw leaseError('Device not found', 404);
+    this.assertLeaseHolder(d, { leaseId });
+
+    const ttl = ttlMs === undefined ? d.lease.ttlMs : clampTtl(ttlMs);
+    const now = Date.now();
+    const lease = {
+      ...d.lease,
+      ttlMs: ttl,
+      renewedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttl).toISOString(),
+    };
+    return this.update(id, { lease });
+  }
+
+  /**
+   * Return a leased device to the pool. `force` skips the holder check (internal callers only).
+   */
+  release(id, { leaseId, force = false } = {}) {
+    if (!this.get(id)) throw leaseError('Device not found', 404);
+    // An expired lease that the sweeper has not dropped yet is as good as none
+    this.sweepExpiredLeases();
+    const d = this.get(id);
+    if (!d.lease) return d;
+    if (!force) this.assertLeaseHolder(d, { leaseId });
+    return this.update(id, { lease: null });
+  }
+
+  // The lease id is the credential; `owner` is only a label and anyone can claim it
+  assertLeaseHolder(device, { leaseId }) {
+    if (!device.lease || Date.parse(device.lease.expiresAt) <= Date.now()) {
+      throw leaseError('Device is not leased', 409);
+    }
+    if (!leaseId) throw leaseError("'leaseId' is required", 400);
+    if (leaseId !== device.lease.leaseId) {
+      throw leaseError('Device is leased by someone else', 403);
+    }
+  }
+
+  /**
+   * A device with a live lease only takes requests carrying its lease id; free devices take anyone's.
+   */
+  assertUsableBy(device, { leaseId } = {}) {
+    if (!device.lease || Date.parse(device.lease.expiresAt) <= Date.now()) return;
+    if (!leaseId) throw leaseError('Device is leased; send the lease id in the X-Lease-Id header', 403);
+    this.assertLeaseHolder(device, { leaseId });
+  }
+
+  /**
+   * Drop leases whose TTL elapsed without a renew so the device becomes acquirable again.
+   * @returns {string[]} ids of devices returned to the pool
+   */
+  sweepExpiredLeases(now = Date.now()) {
+    const expired = [];
+    for (const d of this.devices.values()) {
+      if (d.lease && Date.parse(d.lease.expiresAt) <= now) {
+        this.update(d.id, { lease: null });
+        expired.push(d.id);
+      }
+    }
+    return expired;
+  }
+
+  ensureSweeper() {
+    if (this.sweepTimer) return;
+    this.sweepTimer = setInterval(() => {
+      this.sweepExpiredLeases();
+      if (!this.list().some((d) => d.lease)) {
+        clearInterval(this.sweepTimer);
+        this.sweepTimer = null;
+      }
+    }, LEASE_SWEEP_INTERVAL_MS);
+    // Never keep the process alive just for lease bookkeeping
+    if (typeof this.sweepTimer.unref === 'function') this.sweepTimer.unref();
   }
 }
 
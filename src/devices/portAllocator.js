@@ -0,0 +1,97 @@
+const net = require('net');
+const deviceManager = require('./deviceManager');
+const logger = require('../logger');
+
+// The emulator takes an even console port and uses console + 1 for adb.
+// 5554..5682 is the range adb scans for local emulators.
+const FIRST_CONSOLE_PORT = 5554;
+const LAST_CONSOLE_PORT = 5682;
+
+// Devices in these states still own their emulator's ports
+const PORT_HOLDING_STATES = ['starting', 'booting', 'ready', 'stopping'];
+
+function probe(port) {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.unref();
+    server.once('error', () => resolve(false));
+    server.listen({ port, host: '127.0.0.1', exclusive: true }, () => {
+      server.close(() => resolve(true));
+    });
+  });
+}
+
+/**
+ * Hands out console/adb port pairs for new emulators.
+ * A port is reserved from allocation until the emulator finished (or failed) booting;
+ * after that the device record itself holds it.
+ */
+class PortAllocator {
+  constructor() {
+    // console port -> { owner, reservedAt }
+    this.reservations = new Map();
+  }
+
+  heldPorts() {
+    const held = new Set();
+    for (const d of deviceManager.list()) {
+      const port = d.meta?.emulator?.port;
+      if (port && PORT_HOLDING_STATES.includes(d.status)) held.add(Number(port));
+    }
+    return held;
+  }
+
+  isTaken(port, owner) {
+    const r = this.reservations.get(port);
+    if (r && r.owner !== owner) return true;
+    const holder = deviceManager.list().find((d) => Number(d.meta?.emulator?.port) === port
+      && PORT_HOLDING_STATES.includes(d.status));
+    return Boolean(holder && holder.id !== owner);
+  }
+
+  /**
+   * Reserve a specific console port (e.g. to restart a device on its old port).
+   * @returns {Promise<boolean>} false if another device holds it or the ports are busy
+   */
+  async reserve(port, owner) {
+    if (this.isTaken(port, owner)) return false;
+    this.reservations.set(port, { owner, reservedAt: Date.now() });
+    if (await probe(port) && await probe(port + 1)) return true;
+    this.reservations.delete(port);
+    return false;
+  }
+
+  /**
+   * Reserve the first free console port. Rejects with status 409 when the range is exhausted.
+   * @param {string} owner device id (or any token) the reservation belongs to
+   * @returns {Promise<number>} console port; the adb port is port + 1
+   */
+  async allocate(owner) {
+    const held = this.heldPorts();
+    for (let port = FIRST_CONSOLE_PORT; port <= LAST_CONSOLE_PORT; port += 2) {
+      if (held.has(port) || this.reservations.has(port)) continue;
+      // Reserve before probing so concurrent allocations never pick the same port
+      this.reservations.set(port, { owner, reservedAt: Date.now() });
+      // eslint-disable-next-line no-await-in-loop
+      if (await probe(port) && await probe(port + 1)) {
+        logger.debug(`Reserved emulator ports ${port}/${port + 1} for ${owner}`);
+        return port;
+      }
+      this.reservations.delete(port);
+    }
+    const e = new Error(`No free emulator ports in ${FIRST_CONSOLE_PORT}-${LAST_CONSOLE_PORT + 1}`);
+    e.status = 409;
+    throw e;
+  }
+
+  /**
+   * Drop a reservation once boot finished (the device record now holds the port) or failed.
+   */
+  release(port) {
+    if (this.reservations.delete(Number(port))) {
+      logger.debug(`Released emulator port reservation ${port}`);
+    }
+  }
+}
+
+module.exports = new PortAllocator();
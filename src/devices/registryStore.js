@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+
+const DEFAULT_FILE = path.join(__dirname, '../../.state/devices.json');
+const VERSION = 1;
+
+/**
+ * JSON file backend for the device registry.
+ * Writes go to a temp file that is renamed over the target, so a crash mid-write
+ * never leaves a truncated registry behind.
+ */
+class JsonRegistryStore {
+  constructor(file = process.env.DEVICE_REGISTRY_FILE || DEFAULT_FILE) {
+    this.file = path.resolve(file);
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.file)) return [];
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+      return Array.isArray(data?.devices) ? data.devices : [];
+    } catch (e) {
+      logger.warn(`Ignoring unreadable device registry ${this.file}: ${e.message}`);
+      return [];
+    }
+  }
+
+  save(devices) {
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(tmp, JSON.stringify({ version: VERSION, savedAt: new Date().toISOString(), devices }, null, 2));
+      fs.renameSync(tmp, this.file);
+    } catch (e) {
+      logger.error(`Failed to persist device registry to ${this.file}: ${e.message}`);
+      try { fs.rmSync(tmp, { force: true }); } catch (_) { /* ignore */ }
+    }
+  }
+}
+
+module.exports = { JsonRegistryStore };
@@ -0,0 +1,32 @@
+const axios = require('axios');
+const polyline = require('@mapbox/polyline');
+
+const GOOGLE_DIRECTIONS_URL = 'https://maps.googleapis.com/maps/api/directions/json';
+
+module.exports = {
+  name: 'google',
+
+  async fetchDirections({ origin, destination, mode = 'driving', httpConfig = {}, options = {} }) {
+    const apiKey = options.apiKey || process.env.GOOGLE_MAPS_API_KEY;
+    if (!apiKey) {
+      const e = new Error('GOOGLE_MAPS_API_KEY not set');
+      e.status = 500;
+      throw e;
+    }
+    const o = `${origin.lat},${origin.lon}`;
+    const d = `${destination.lat},${destination.lon}`;
+    const url = `${GOOGLE_DIRECTIONS_URL}?origin=${encodeURIComponent(o)}&destination=${encodeURIComponent(d)}&mode=${encodeURIComponent(mode)}&key=${encodeURIComponent(apiKey)}`;
+    const { data } = await axios.get(url, httpConfig);
+    if (data.status !== 'OK') {
+      const msg = data.error_message || data.status || 'Directions API error';
+      const e = new Error(msg);
+      e.status = 400;
+      throw e;
+    }
+    const route = data.routes?.[0];
+    if (!route) throw Object.assign(new Error('No routes found'), { status: 404 });
+    const points = polyline.decode(route.overview_polyline.points)
+      .map(([lat, lon]) => ({ lat, lon }));
+    return { points, raw: data };
+  },
+};
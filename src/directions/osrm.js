@@ -0,0 +1,74 @@
+const axios = require('axios');
+const polyline = require('@mapbox/polyline');
+
+// Directions from a self-hosted routing engine speaking the OSRM (`/route/v1`) or
+// Valhalla (`/route`) HTTP API, e.g. a local server in an offline CI network.
+const OSRM_PROFILES = { driving: 'driving', walking: 'foot', bicycling: 'bike' };
+const VALHALLA_COSTING = { driving: 'auto', walking: 'pedestrian', bicycling: 'bicycle' };
+
+function baseUrl(options) {
+  const url = options.url || process.env.DIRECTIONS_URL || process.env.OSRM_URL;
+  if (!url) {
+    const e = new Error('Routing server URL not set (DIRECTIONS_URL or options.url)');
+    e.status = 500;
+    throw e;
+  }
+  return String(url).replace(/\/+$/, '');
+}
+
+async function fetchOsrm(url, { origin, destination, mode, httpConfig }) {
+  const profile = OSRM_PROFILES[mode] || mode;
+  const coords = `${origin.lon},${origin.lat};${destination.lon},${destination.lat}`;
+  const { data } = await axios.get(
+    `${url}/route/v1/${encodeURIComponent(profile)}/${coords}?overview=full&geometries=polyline`,
+    httpConfig,
+  );
+  if (data.code !== 'Ok') {
+    const e = new Error(data.message || data.code || 'OSRM route error');
+    e.status = 400;
+    throw e;
+  }
+  const route = data.routes?.[0];
+  if (!route) throw Object.assign(new Error('No routes found'), { status: 404 });
+  const points = polyline.decode(route.geometry, 5).map(([lat, lon]) => ({ lat, lon }));
+  return { points, raw: data };
+}
+
+async function fetchValhalla(url, { origin, destination, mode, httpConfig }) {
+  const body = {
+    locations: [
+      { lat: origin.lat, lon: origin.lon },
+      { lat: destination.lat, lon: destination.lon },
+    ],
+    costing: VALHALLA_COSTING[mode] || mode,
+  };
+  const { data } = await axios.post(`${url}/route`, body, httpConfig);
+  const legs = data?.trip?.legs;
+  if (!Array.isArray(legs) || legs.length === 0) {
+    throw Object.assign(new Error('No routes found'), { status: 404 });
+  }
+  // Valhalla encodes shapes with 6 digits of precision
+  const points = legs
+    .flatMap((leg) => polyline.decode(leg.shape, 6))
+    .map(([lat, lon]) => ({ lat, lon }));
+  return { points, raw: data };
+}
+
+module.exports = {
+  name: 'osrm',
+
+  async fetchDirections({ origin, destination, mode = 'driving', httpConfig = {}, options = {} }) {
+    const url = baseUrl(options);
+    const flavor = options.flavor || process.env.DIRECTIONS_FLAVOR || 'osrm';
+    const args = { origin, destination, mode, httpConfig };
+    try {
+      if (flavor === 'valhalla') return await fetchValhalla(url, args);
+      return await fetchOsrm(url, args);
+    } catch (err) {
+      if (err.status) throw err;
+      // Surface routing engine HTTP errors (4xx body) or connection failures as a bad gateway
+      const msg = err.response?.data?.message || err.response?.data?.error || err.message;
+      throw Object.assign(new Error(`Routing server error: ${msg}`), { status: 502 });
+    }
+  },
+};
@@ -0,0 +1,26 @@
+const polyline = require('@mapbox/polyline');
+
+// Precomputed routes: an encoded polyline or an explicit list of points. No network access.
+module.exports = {
+  name: 'static',
+
+  async fetchDirections({ options = {} }) {
+    const { polyline: encoded, precision = 5, points } = options;
+    let decoded;
+    if (typeof encoded === 'string' && encoded.length > 0) {
+      decoded = polyline.decode(encoded, Number(precision)).map(([lat, lon]) => ({ lat, lon }));
+    } else if (Array.isArray(points)) {
+      decoded = points.map((p) => ({ lat: Number(p.lat), lon: Number(p.lon) }));
+    } else {
+      const e = new Error("Static directions require 'polyline' or 'points'");
+      e.status = 400;
+      throw e;
+    }
+    if (decoded.length === 0 || decoded.some((p) => !Number.isFinite(p.lat) || !Number.isFinite(p.lon))) {
+      const e = new Error('Static route has no valid points');
+      e.status = 400;
+      throw e;
+    }
+    return { points: decoded, raw: null };
+  },
+};
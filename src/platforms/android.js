@@ -1,21 +1,65 @@
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const { PassThrough } = require('stream');
-const execAsync = promisify(exec);
-
-// Make exec available globally for the module
-const { exec: execSync } = require('child_process');
-
-// Helper to run adb commands, optionally targeting a specific device serial
-async function adb(command, { serial } = {}) {
-  const prefix = serial ? `adb -s ${serial}` : 'adb';
-  const full = `${prefix} ${command}`;
-  const { stdout, stderr } = await execAsync(full);
-  if (stderr && stderr.trim()) {
-    // adb often writes non-fatal info to stderr; do not throw unless clear error
-    if (/error|failed/i.test(stderr)) throw new Error(stderr.trim());
+const { Readable } = require('stream');
+const { fixSentences } = require('../utils/nmea');
+const { parseUiXml, withoutChildren } = require('../utils/uiHierarchy');
+const { selectNodes } = require('../utils/selector');
+const { findTouchscreen, buildSendeventScript } = require('../utils/gesture');
+const { parseKeySequence, isInputTextSafe } = require('../utils/keys');
+const { parseRawScreencap } = require('../utils/screenshot');
+const { screenrecordArgs } = require('../utils/screenrecord');
+const adbClient = require('../services/adbClient');
+const emulatorConsole = require('../services/emulatorConsole');
+
+const KEYCODE_MOVE_END = 123;
+const KEYCODE_DEL = 67;
+const KEYCOMBINATION_MIN_SDK = 31;
+
+// ADBKeyBoard (github.com/senzhk/ADBKeyBoard) types arbitrary Unicode sent as base64 broadcasts
+const ADB_IME_PACKAGE = 'com.android.adbkeyboard';
+const ADB_IME = `${ADB_IME_PACKAGE}/.AdbIME`;
+const ADB_KEYBOARD_APK = process.env.ADB_KEYBOARD_APK || '';
+
+function elementError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Target fully inside the container (both as uiHierarchy bounds)
+function isInside(target, container) {
+  return target.height > 0 && target.width > 0
+    && target.top >= container.top && target.bottom <= container.bottom
+    && target.left >= container.left && target.right <= container.right;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// serial -> touchscreen found by getevent; the input devices of a running emulator do not change
+const touchscreens = new Map();
+
+// Type text through ADBKeyBoard, installing it from ADB_KEYBOARD_APK on first use.
+// The previous keyboard is restored afterwards.
+async function typeWithAdbIme(serial, text) {
+  const packages = await adbClient.shell(serial, ['pm', 'list', 'packages', ADB_IME_PACKAGE]);
+  if (!packages.split(/\r?\n/).includes(`package:${ADB_IME_PACKAGE}`)) {
+    if (!ADB_KEYBOARD_APK) {
+      throw elementError('Typing non-ASCII text needs the ADBKeyBoard IME; install it on the device or set ADB_KEYBOARD_APK', 501);
+    }
+    await adbClient.install(serial, ADB_KEYBOARD_APK);
+  }
+  const previous = (await adbClient.shell(serial, 'settings get secure default_input_method')).trim();
+  if (previous !== ADB_IME) {
+    await adbClient.shell(serial, `ime enable ${ADB_IME} && ime set ${ADB_IME}`);
+    // Let the focused field bind to the new keyboard
+    await sleep(500);
+  }
+  try {
+    const b64 = Buffer.from(text, 'utf-8').toString('base64');
+    await adbClient.shell(serial, ['am', 'broadcast', '-a', 'ADB_INPUT_B64', '--es', 'msg', b64]);
+  } finally {
+    if (previous && previous !== 'null' && previous !== ADB_IME) {
+      // The broadcast is delivered asynchronously; switching back too early drops the text
+      await sleep(300);
+      await adbClient.shell(serial, ['ime', 'set', previous]).catch(() => {});
+    }
   }
-  return stdout;
 }
 
 module.exports = {
@@ -24,18 +68,18 @@ module.exports = {
     const serial = device?.meta?.deviceId;
     // Prefer 'am start' to launch activity; if main activity unknown, fallback to monkey
     try {
-      await adb(`shell monkey -p ${appId} -c android.intent.category.LAUNCHER 1`, { serial });
+      await adbClient.shell(serial, ['monkey', '-p', appId, '-c', 'android.intent.category.LAUNCHER', '1']);
     } catch (_) {
-      await adb(`shell am start -n ${appId}/.MainActivity`, { serial });
+      await adbClient.shell(serial, ['am', 'start', '-n', `${appId}/.MainActivity`]);
     }
     return { ok: true };
   },
 
   async intent(device, { action, data, category, component, flags, extras } = {}) {
     const serial = device?.meta?.deviceId;
-    const parts = ['shell', 'am', 'start'];
+    const parts = ['am', 'start'];
     if (action) parts.push('-a', action);
-    if (data) parts.push('-d', `'${data}'`);
+    if (data) parts.push('-d', data);
     if (category) parts.push('-c', category);
     if (component) parts.push('-n', component);
     if (typeof flags === 'number') parts.push('-f', String(flags));
@@ -50,191 +94,435 @@ module.exports = {
         }
       }
     }
-    await adb(parts.join(' '), { serial });
+    await adbClient.shell(serial, parts);
     return { ok: true };
   },
 
   async closeApp(device, appId) {
     const serial = device?.meta?.deviceId;
     if (!appId) return { ok: false, error: "'appId' required to close app" };
-    await adb(`shell am force-stop ${appId}`, { serial });
+    await adbClient.shell(serial, ['am', 'force-stop', appId]);
     return { ok: true };
   },
 
   async tap(device, { x, y }) {
     const serial = device?.meta?.deviceId;
-    await adb(`shell input tap ${x} ${y}`, { serial });
+    await adbClient.shell(serial, ['input', 'tap', x, y]);
     return { ok: true };
   },
 
   async swipe(device, { x1, y1, x2, y2, durationMs = 300 }) {
     const serial = device?.meta?.deviceId;
-    await adb(`shell input swipe ${x1} ${y1} ${x2} ${y2} ${Math.max(1, durationMs)}` , { serial });
+    await adbClient.shell(serial, ['input', 'swipe', x1, y1, x2, y2, Math.max(1, durationMs)]);
     return { ok: true };
   },
 
+  /**
+   * Type text into the focused field. Printable ASCII goes through `input text` (tabs and newlines
+   * as key presses); anything else through the ADBKeyBoard IME.
+   */
   async type(device, { text }) {
     const serial = device?.meta?.deviceId;
-    // Escape spaces
-    const escaped = text.replace(/ /g, '%s');
-    await adb(`shell input text "${escaped}"`, { serial });
-    return { ok: true };
+    if (!isInputTextSafe(text)) {
+      await typeWithAdbIme(serial, text);
+      return { ok: true, method: 'ime' };
+    }
+    for (const part of text.split(/([\t\n])/)) {
+      if (part === '\t' || part === '\n') {
+        await adbClient.shell(serial, ['input', 'keyevent', part === '\t' ? 'KEYCODE_TAB' : 'KEYCODE_ENTER']);
+      } else if (part) {
+        // `input text` reads "%s" as a space and has no escape for it, so a literal "%s" is
+        // sent as two calls split between the '%' and the 's'
+        for (const chunk of part.split(/(?<=%)(?=s)/)) {
+          await adbClient.shell(serial, ['input', 'text', chunk.replace(/ /g, '%s')]);
+        }
+      }
+    }
+    return { ok: true, method: 'input' };
   },
 
-  async back(device) {
+  /**
+   * Run a validated key sequence (see utils/keys.js). Consecutive plain key presses are sent in
+   * one `input keyevent` call.
+   */
+  async pressKeys(device, { keys }) {
     const serial = device?.meta?.deviceId;
-    await adb('shell input keyevent 4', { serial });
-    return { ok: true };
+    let batch = [];
+    let sdk;
+    const flush = async () => {
+      if (!batch.length) return;
+      await adbClient.shell(serial, ['input', 'keyevent', ...batch]);
+      batch = [];
+    };
+    for (const step of keys) {
+      if (step.type === 'key' && !step.longPress && !step.meta.length) {
+        batch.push(step.key);
+        continue;
+      }
+      await flush();
+      if (step.type === 'delay') {
+        await sleep(step.ms);
+      } else if (step.type === 'text') {
+        await this.type(device, { text: step.text });
+      } else if (step.longPress) {
+        await adbClient.shell(serial, ['input', 'keyevent', '--longpress', step.key]);
+      } else {
+        // keycombination needs Android 12 (API 31); older `input` just prints its usage
+        sdk ??= Number((await adbClient.shell(serial, ['getprop', 'ro.build.version.sdk'])).trim());
+        if (!(sdk >= KEYCOMBINATION_MIN_SDK)) {
+          throw elementError('Meta-key combinations need Android 12 or newer (input keycombination)', 501);
+        }
+        await adbClient.shell(serial, ['input', 'keycombination', ...step.meta, step.key]);
+      }
+    }
+    await flush();
+    return { ok: true, steps: keys.length };
+  },
+
+  async back(device) {
+    return this.pressKeys(device, { keys: parseKeySequence(['BACK']) });
   },
 
   async home(device) {
-    const serial = device?.meta?.deviceId;
-    await adb('shell input keyevent 3', { serial });
-    return { ok: true };
+    return this.pressKeys(device, { keys: parseKeySequence(['HOME']) });
   },
 
   async rotate(device, { orientation }) {
     const serial = device?.meta?.deviceId;
     // Best-effort: disable auto-rotate and set user rotation
-    if (orientation === 'portrait') {
-      await adb('shell settings put system accelerometer_rotation 0', { serial });
-      await adb('shell settings put system user_rotation 0', { serial });
-    } else {
-      await adb('shell settings put system accelerometer_rotation 0', { serial });
-      await adb('shell settings put system user_rotation 1', { serial });
-    }
+    await adbClient.shell(serial, ['settings', 'put', 'system', 'accelerometer_rotation', '0']);
+    await adbClient.shell(serial, ['settings', 'put', 'system', 'user_rotation', orientation === 'portrait' ? '0' : '1']);
     return { ok: true };
   },
 
-  async setGPS(device, { lat, lon, speed = 0, bearing = 0 }) {
-    const serial = device?.meta?.deviceId;
-    
-    // Set the location using geo fix
-    await adb(`emu geo fix ${lon} ${lat}`, { serial });
+  async setGPS(device, { lat, lon, altitude, speed = 0, bearing = 0, time, satellites, hdop }) {
+    // Set the location using geo fix (altitude in meters is optional)
+    const alt = typeof altitude === 'number' && Number.isFinite(altitude) ? [altitude] : [];
+    await emulatorConsole.run(device, ['geo', 'fix', lon, lat, ...alt]);
     
-    // If speed or bearing is provided, also set them using NMEA sentence
-    if (speed > 0 || bearing > 0) {
-      // Convert bearing to 0-360 range
-      const normalizedBearing = ((bearing % 360) + 360) % 360;
-      
-      // Convert speed from m/s to knots (1 m/s = 1.94384 knots)
-      const speedKnots = speed * 1.94384;
-      
-      // Format: $GPRMC,time,status,lat,N,lon,E,spd,cog,date,mv,mvE,mode*cs
-      // For simplicity, we're using a fixed time and date
-      const nmea = `$GPRMC,120000,A,${Math.abs(lat).toFixed(6)},${lat >= 0 ? 'N' : 'S'},` +
-                  `${Math.abs(lon).toFixed(6)},${lon >= 0 ? 'E' : 'W'},` +
-                  `${speedKnots.toFixed(2)},${normalizedBearing.toFixed(2)},191222,,,A*`;
-      
-      // Calculate checksum (XOR of all characters between $ and *)
-      let checksum = 0;
-      for (let i = 1; i < nmea.length - 1; i++) {
-        checksum ^= nmea.charCodeAt(i);
-      }
-      
-      const nmeaWithChecksum = `${nmea}${checksum.toString(16).toUpperCase().padStart(2, '0')}`;
-      
-      // Send the NMEA sentence to the emulator
-      await adb(`emu geo nmea ${nmeaWithChecksum}`, { serial });
+    // Speed, bearing and fix time/quality can only be conveyed through NMEA sentences
+    if (speed > 0 || bearing > 0 || time !== undefined || satellites !== undefined || hdop !== undefined) {
+      await this.sendNmea(device, fixSentences({ lat, lon, altitude, speed, bearing, time, satellites, hdop }));
     }
     
     return { ok: true };
   },
 
-  async clickByText(device, { text, exact = true, index = 0, skipDialogCheck = false }) {
+  async sendNmea(device, sentences) {
+    for (const s of sentences) {
+      await emulatorConsole.run(device, ['geo', 'nmea', s]);
+    }
+    return { ok: true, sentences };
+  },
+
+  /**
+   * Set an emulated sensor, e.g. ('acceleration', [0, 9.81, 0]).
+   */
+  async sensor(device, { name, values }) {
+    await emulatorConsole.run(device, ['sensor', 'set', name, values.join(':')]);
+    return { ok: true, name, values };
+  },
+
+  /**
+   * Battery and charger state; `settings` holds console `power` subcommands
+   * (ac, status, present, health, capacity) and their values.
+   */
+  async power(device, settings) {
+    for (const [key, value] of Object.entries(settings)) {
+      await emulatorConsole.run(device, ['power', key, value]);
+    }
+    return { ok: true, ...settings };
+  },
+
+  /**
+   * Network emulation: `speed` and/or `delay` as console presets or "up:down" / "min:max" values.
+   */
+  async network(device, settings) {
+    for (const [key, value] of Object.entries(settings)) {
+      await emulatorConsole.run(device, ['network', key, value]);
+    }
+    return { ok: true, ...settings };
+  },
+
+  /**
+   * Deliver an incoming SMS.
+   */
+  async sms(device, { from, text }) {
+    await emulatorConsole.run(device, ['sms', 'send', from, text]);
+    return { ok: true, from, text };
+  },
+
+  /**
+   * Raw uiautomator XML of the current screen.
+   */
+  async dumpUi(device) {
     const serial = device?.meta?.deviceId;
     const dumpFile = `/sdcard/window_dump_${serial}.xml`;
-    
-    try {
-      // Skip dialog check if requested (to prevent infinite loops)
-      if (!skipDialogCheck) {
-        const { handleSystemDialogs } = require('../utils/dialogHandler');
-        await handleSystemDialogs(serial);
-      }
-      
-      // Dump the UI hierarchy to XML
-      await adb(`shell uiautomator dump ${dumpFile}`, { serial });
-      const xmlDump = await adb(`shell cat ${dumpFile}`, { serial });
-      
-      // Parse the XML to find elements with the target text
-      const { parseString } = require('xml2js');
-      const parsed = await new Promise((resolve, reject) => {
-        parseString(xmlDump, (err, result) => {
-          if (err) reject(err);
-          else resolve(result);
-        });
-      });
-      
-      // Find all nodes with the text
-      const findNodes = (node, text, nodes = []) => {
-        if (node.$ && node.$.text) {
-          const nodeText = exact 
-            ? node.$.text 
-            : node.$.text.toLowerCase();
-          const searchText = exact 
-            ? text 
-            : text.toLowerCase();
-            
-          if (exact ? nodeText === searchText : nodeText.includes(searchText)) {
-            nodes.push(node);
-          }
-        }
-        
-        if (node.node) {
-          const children = Array.isArray(node.node) ? node.node : [node.node];
-          children.forEach(child => findNodes(child, text, nodes));
-        }
-        
-        return nodes;
-      };
-      
-      const matchingNodes = findNodes(parsed.hierarchy, text);
-      
-      if (matchingNodes.length === 0) {
-        throw new Error(`No elements found with text: ${text}`);
-      }
-      
-      if (index >= matchingNodes.length) {
-        throw new Error(`Index ${index} out of bounds. Found ${matchingNodes.length} matching elements.`);
-      }
-      
-      // Get bounds of the element
-      const bounds = matchingNodes[index].$.bounds;
-      const match = bounds.match(/\[(\d+),(\d+)\]\[(\d+),(\d+)\]/);
-      
-      if (!match) {
-        throw new Error(`Could not parse bounds: ${bounds}`);
+    await adbClient.shell(serial, ['uiautomator', 'dump', dumpFile]);
+    return adbClient.shell(serial, ['cat', dumpFile]);
+  },
+
+  async uiHierarchy(device) {
+    return parseUiXml(await this.dumpUi(device));
+  },
+
+  async screenSize(device) {
+    const serial = device?.meta?.deviceId;
+    const out = await adbClient.shell(serial, ['wm', 'size']);
+    // "Override size" (wm size WxH) wins over the panel's physical size
+    const m = out.match(/Override size:\s*(\d+)x(\d+)/) || out.match(/Physical size:\s*(\d+)x(\d+)/);
+    if (!m) throw new Error(`Could not read screen size: ${out.trim()}`);
+    return { width: Number(m[1]), height: Number(m[2]) };
+  },
+
+  /**
+   * Status and navigation bar rectangles in screen pixels for the current orientation, from the
+   * window manager's insets (Android 11+). Older versions get the standard 24dp / 48dp strips at
+   * the top and bottom of `screen`.
+   * @param {{width: number, height: number}} screen size of the screenshot the regions apply to
+   * @returns {Promise<{statusBar: object|null, navigationBar: object|null}>} regions as {x, y, width, height}
+   */
+  async systemBars(device, screen) {
+    const serial = device?.meta?.deviceId;
+    const windows = await adbClient.shell(serial, ['dumpsys', 'window']);
+    const frame = (types) => {
+      const m = windows.match(new RegExp(`type=(?:${types})\\s+frame=\\[(-?\\d+),(-?\\d+)\\]\\[(-?\\d+),(-?\\d+)\\]`));
+      if (!m) return null;
+      const [left, top, right, bottom] = m.slice(1).map(Number);
+      return right > left && bottom > top ? { x: left, y: top, width: right - left, height: bottom - top } : null;
+    };
+    const statusBar = frame('ITYPE_STATUS_BAR|statusBars');
+    const navigationBar = frame('ITYPE_NAVIGATION_BAR|navigationBars');
+    if (statusBar || navigationBar) return { statusBar, navigationBar };
+
+    const out = await adbClient.shell(serial, ['wm', 'density']);
+    const density = out.match(/Override density:\s*(\d+)/) || out.match(/Physical density:\s*(\d+)/);
+    const px = (dp) => Math.ceil((dp * (density ? Number(density[1]) : 160)) / 160);
+    return {
+      statusBar: { x: 0, y: 0, width: screen.width, height: Math.min(px(24), screen.height) },
+      navigationBar: { x: 0, y: Math.max(0, screen.height - px(48)), width: screen.width, height: Math.min(px(48), screen.height) },
+    };
+  },
+
+  async touchscreen(device) {
+    const serial = device?.meta?.deviceId;
+    if (!touchscreens.has(serial)) {
+      const found = findTouchscreen(await adbClient.shell(serial, ['getevent', '-p']));
+      if (!found) {
+        const e = new Error('No multi-touch input device found on the device');
+        e.status = 501;
+        throw e;
       }
-      
-      const x1 = parseInt(match[1], 10);
-      const y1 = parseInt(match[2], 10);
-      const x2 = parseInt(match[3], 10);
-      const y2 = parseInt(match[4], 10);
-      
-      // Calculate center point
-      const centerX = Math.floor((x1 + x2) / 2);
-      const centerY = Math.floor((y1 + y2) / 2);
-      
-      // Click the center of the element
-      await adb(`shell input tap ${centerX} ${centerY}`, { serial });
-      
-      return { ok: true, x: centerX, y: centerY };
-      
-    } finally {
+      touchscreens.set(serial, found);
     }
-    
-    // Tap on the center of the element
-    await this.tap(device, { x: centerX, y: centerY });
-    
-    return { 
-      count: matchingNodes.length,
-      bounds: { x1, y1, x2, y2 }
+    return touchscreens.get(serial);
+  },
+
+  /**
+   * Play a multi-pointer gesture (see utils/gesture.js) on the touchscreen with sendevent.
+   * Coordinates are screen pixels in the natural (portrait) orientation.
+   */
+  async gesture(device, { pointers }) {
+    const serial = device?.meta?.deviceId;
+    const touch = await this.touchscreen(device);
+    const screen = await this.screenSize(device);
+    const { script, durationMs, frames } = buildSendeventScript(pointers, touch, screen);
+    // sendevent runs slower than real time; leave generous headroom
+    await adbClient.shellScript(serial, script, { timeout: durationMs * 4 + 30000 });
+    return { ok: true, pointers: pointers.length, durationMs, frames, touchscreen: touch.name };
+  },
+
+  /**
+   * Resumed (foreground) activity, or null when none is reported (e.g. during boot).
+   * @returns {Promise<{package: string, activity: string, component: string}|null>}
+   */
+  async foregroundActivity(device) {
+    const serial = device?.meta?.deviceId;
+    // Filter on the device: the full dumpsys output is large and polled often
+    const out = await adbClient.shell(serial, "dumpsys activity activities | grep -E 'ResumedActivity'")
+      .catch(() => '');
+    const m = out.match(/ResumedActivity[:=]\s*ActivityRecord\{\S+ \S+ ([\w.]+)\/([\w.$]+)/);
+    if (!m) return null;
+    const [, pkg, cls] = m;
+    const activity = cls.startsWith('.') ? `${pkg}${cls}` : cls;
+    return { package: pkg, activity, component: `${pkg}/${activity}` };
+  },
+
+  /**
+   * Elements on the current screen matching a selector (see utils/selector.js), in document order.
+   */
+  async findElements(device, selector) {
+    const xml = await this.dumpUi(device);
+    return selectNodes(await parseUiXml(xml), xml, selector);
+  },
+
+  /**
+   * The `index`-th element matching the selector; 404 when there is none, 422 without bounds.
+   * @returns {Promise<{element: object, count: number}>}
+   */
+  async resolveElement(device, selector, index = 0, label = 'selector') {
+    const matches = await this.findElements(device, selector);
+    if (matches.length === 0) {
+      throw elementError(`No elements match the ${label}`, 404);
+    }
+    if (index >= matches.length) {
+      throw elementError(`Index ${index} out of bounds. Found ${matches.length} matching elements.`, 404);
+    }
+    const element = matches[index];
+    if (!element.bounds) {
+      throw elementError(`Element ${element.path} has no bounds`, 422);
+    }
+    return { element, count: matches.length };
+  },
+
+  /**
+   * Tap the center of the `index`-th element matching the selector.
+   */
+  async clickElement(device, { selector, index = 0 }) {
+    const serial = device?.meta?.deviceId;
+    const { element, count } = await this.resolveElement(device, selector, index);
+    await adbClient.shell(serial, ['input', 'tap', element.bounds.centerX, element.bounds.centerY]);
+    return { ok: true, x: element.bounds.centerX, y: element.bounds.centerY, count, element: withoutChildren(element) };
+  },
+
+  async longPressElement(device, { selector, index = 0, durationMs = 1000 }) {
+    const serial = device?.meta?.deviceId;
+    const { element } = await this.resolveElement(device, selector, index);
+    const { centerX: x, centerY: y } = element.bounds;
+    // A swipe that does not move is a long press
+    await adbClient.shell(serial, ['input', 'swipe', x, y, x, y, durationMs]);
+    return { ok: true, x, y, durationMs, element: withoutChildren(element) };
+  },
+
+  /**
+   * Focus a field and replace its content: tap it, delete the current text, type the new one.
+   */
+  async setElementText(device, { selector, index = 0, text, clear = true }) {
+    const serial = device?.meta?.deviceId;
+    const { element } = await this.resolveElement(device, selector, index);
+    await adbClient.shell(serial, ['input', 'tap', element.bounds.centerX, element.bounds.centerY]);
+    if (clear && element.text) {
+      // uiautomator reports password fields as dots, which still has the right length
+      const dels = Array(element.text.length).fill(KEYCODE_DEL);
+      await adbClient.shell(serial, ['input', 'keyevent', KEYCODE_MOVE_END, ...dels]);
+    }
+    if (text) await this.type(device, { text });
+    return { ok: true, cleared: clear && Boolean(element.text), element: withoutChildren(element) };
+  },
+
+  /**
+   * Swipe inside a scrollable container until an element matching `selector` is fully visible in it.
+   * Stops early when a swipe no longer changes the screen (end of the list).
+   */
+  async scrollToElement(device, { selector, container, direction = 'down', maxSwipes = 10, durationMs = 400 }) {
+    const serial = device?.meta?.deviceId;
+    let swipes = 0;
+    let previous = null;
+    for (;;) {
+      const xml = await this.dumpUi(device);
+      const tree = await parseUiXml(xml);
+      const [box] = selectNodes(tree, xml, container || { scrollable: true });
+      if (!box || !box.bounds) throw elementError('No scrollable container found', 404);
+      const target = selectNodes(tree, xml, selector).find((n) => n.bounds && isInside(n.bounds, box.bounds));
+      if (target) return { ok: true, swipes, element: withoutChildren(target), container: withoutChildren(box) };
+
+      if (swipes >= maxSwipes) throw elementError(`Element not found after ${swipes} swipes`, 404);
+      if (previous === xml) throw elementError(`Element not found; reached the end after ${swipes} swipes`, 404);
+      previous = xml;
+
+      // Move the content so that hidden items come in from `direction`
+      const { left, top, width, height, centerX, centerY } = box.bounds;
+      const near = (start, size) => Math.round(start + size * 0.25);
+      const far = (start, size) => Math.round(start + size * 0.75);
+      const [x1, y1, x2, y2] = {
+        down: [centerX, far(top, height), centerX, near(top, height)],
+        up: [centerX, near(top, height), centerX, far(top, height)],
+        right: [far(left, width), centerY, near(left, width), centerY],
+        left: [near(left, width), centerY, far(left, width), centerY],
+      }[direction];
+      await adbClient.shell(serial, ['input', 'swipe', x1, y1, x2, y2, durationMs]);
+      swipes++;
+      // Let the fling settle before the next dump
+      await sleep(300);
+    }
+  },
+
+  /**
+   * Drag one element onto another (`input draganddrop`, or a slow swipe on older images).
+   */
+  async dragElement(device, { from, to, fromIndex = 0, toIndex = 0, durationMs = 1000 }) {
+    const serial = device?.meta?.deviceId;
+    const xml = await this.dumpUi(device);
+    const tree = await parseUiXml(xml);
+    const pick = (selector, index, label) => {
+      const matches = selectNodes(tree, xml, selector).filter((n) => n.bounds);
+      if (!matches[index]) throw elementError(`No element matches the '${label}' selector at index ${index}`, 404);
+      return matches[index];
     };
+    const source = pick(from, fromIndex, 'from');
+    const target = pick(to, toIndex, 'to');
+    const coords = [source.bounds.centerX, source.bounds.centerY, target.bounds.centerX, target.bounds.centerY];
+    try {
+      await adbClient.shell(serial, ['input', 'draganddrop', ...coords, durationMs]);
+    } catch (_) {
+      // `draganddrop` exists since Android 11
+      await adbClient.shell(serial, ['input', 'swipe', ...coords, durationMs]);
+    }
+    return { ok: true, from: withoutChildren(source), to: withoutChildren(target) };
+  },
+
+  async clickByText(device, { text, exact = true, index = 0, skipDialogCheck = false }) {
+    const serial = device?.meta?.deviceId;
+
+    // Skip dialog check if requested (to prevent infinite loops)
+    if (!skipDialogCheck) {
+      const { handleSystemDialogs } = require('../utils/dialogHandler');
+      await handleSystemDialogs(serial);
+    }
+
+    const selector = exact ? { text } : { textContains: text };
+    const matchingNodes = (await this.findElements(device, selector)).filter((node) => node.text);
+
+    if (matchingNodes.length === 0) {
+      throw new Error(`No elements found with text: ${text}`);
+    }
+
+    if (index >= matchingNodes.length) {
+      throw new Error(`Index ${index} out of bounds. Found ${matchingNodes.length} matching elements.`);
+    }
+
+    const { bounds } = matchingNodes[index];
+    if (!bounds) {
+      throw new Error(`Element ${matchingNodes[index].path} has no bounds`);
+    }
+
+    // Click the center of the element
+    await adbClient.shell(serial, ['input', 'tap', bounds.centerX, bounds.centerY]);
+
+    return { ok: true, x: bounds.centerX, y: bounds.centerY };
+  },
+
+  /**
+   * Current frame as RGBA pixels from `screencap` without -p; encoding happens on the host.
+   * @returns {Promise<{width: number, height: number, data: Buffer}>}
+   */
+  async rawScreenshot(device) {
+    const serial = device?.meta?.deviceId;
+    return parseRawScreencap(await adbClient.execOut(serial, ['screencap'], { timeout: 15000 }));
+  },
+
+  /**
+   * Live H.264 (Annex B) from `screenrecord`. The stream ends at screenrecord's time limit;
+   * destroy it to stop recording.
+   * @param {{bitRate?: number, size?: string}} options from parseScreenrecordOptions
+   * @returns {Promise<import('stream').Readable>}
+   */
+  async videoStream(device, options) {
+    const serial = device?.meta?.deviceId;
+    return adbClient.openStream(serial, screenrecordArgs(options, { format: 'h264', output: '-' }));
   },
 
   async screenshotStream(device) {
-    const execAsync = promisify(exec);
-    
     const serial = device?.meta?.deviceId;
     if (!serial) {
       throw new Error('Device serial number is required for taking screenshots');
@@ -242,61 +530,24 @@ module.exports = {
 
     // Add a small delay to ensure the screen is fully rendered
     await new Promise(resolve => setTimeout(resolve, 500));
-    
-    const command = `adb -s ${serial} exec-out screencap -p`;
-    console.log(`[screenshot] Taking screenshot from device: ${serial}`);
-    
+
     try {
       // First, try the direct method
-      const { stdout, stderr } = await execAsync(command, { 
-        encoding: 'buffer',
-        maxBuffer: 10 * 1024 * 1024 // 10MB buffer
-      });
-      
-      if (!stdout || stdout.length === 0) {
+      const png = await adbClient.execOut(serial, ['screencap', '-p'], { timeout: 15000 });
+      if (!png.length) {
         throw new Error('Received empty screenshot data');
       }
-      
-      console.log(`[screenshot] Captured ${stdout.length} bytes of screenshot data`);
-      
-      // Create a stream from the buffer
-      const { Readable } = require('stream');
-      const stream = new Readable();
-      stream.push(stdout);
-      stream.push(null); // Signal end of stream
-      
-      return stream;
-      
+      return Readable.from([png]);
     } catch (error) {
-      console.error('[screenshot] Error capturing screenshot:', error);
-      
-      // If direct method fails, try saving to a temporary file first
+      // If direct method fails, save to a temporary file on the device and pull it
+      const tempFile = `/sdcard/screenshot-${Date.now()}.png`;
       try {
-        console.log('[screenshot] Trying alternative method with temporary file...');
-        const tempFile = `/sdcard/screenshot-${Date.now()}.png`;
-        
-        // Save screenshot to device
-        await execAsync(`adb -s ${serial} shell screencap -p ${tempFile}`);
-        
-        // Pull the file
-        await execAsync(`adb -s ${serial} pull ${tempFile} /tmp/`);
-        
-        // Read the file
-        const fs = require('fs');
-        const filePath = `/tmp/screenshot-${Date.now()}.png`;
-        const fileStream = fs.createReadStream(filePath);
-        
-        // Clean up
-        fileStream.on('end', () => {
-          fs.unlink(filePath, () => {});
-          execAsync(`adb -s ${serial} shell rm ${tempFile}`).catch(() => {});
-        });
-        
-        return fileStream;
-        
+        await adbClient.shell(serial, ['screencap', '-p', tempFile]);
+        return Readable.from([await adbClient.pull(serial, tempFile)]);
       } catch (fallbackError) {
-        console.error('[screenshot] Fallback method also failed:', fallbackError);
         throw new Error(`Failed to capture screenshot: ${fallbackError.message}`);
+      } finally {
+        adbClient.shell(serial, ['rm', '-f', tempFile]).catch(() => {});
       }
     }
   },
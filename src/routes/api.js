@@ -2,15 +2,25 @@ const express = require('express');
 const router = express.Router();
 const deviceService = require('../services/deviceService');
 const actionService = require('../services/actionService');
+const navigationService = require('../services/navigationService');
+const avdManager = require('../services/avdService');
+const recordingService = require('../services/recordingService');
+const visualService = require('../services/visualService');
+const { loadConfig } = require('../config/launchConfig');
+const { hasScreenshotOptions, parseScreenshotOptions } = require('../utils/screenshot');
 
 router.get('/', (_req, res) => {
   res.json({ name: 'Unified Mobile Emulator API', status: 'ok' });
 });
 
 // Cleanup: stop all emulators and kill lingering processes
-router.post('/cleanup', async (_req, res) => {
+router.post('/cleanup', async (req, res) => {
   try {
-    const summary = await deviceService.cleanupAll();
+    const { includeSnapshots = false } = req.body || {};
+    if (typeof includeSnapshots !== 'boolean') {
+      return res.status(400).json({ success: false, error: "'includeSnapshots' must be a boolean" });
+    }
+    const summary = await deviceService.cleanupAll({ includeSnapshots });
     res.json({ success: true, ...summary });
   } catch (e) {
     res.status(e.status || 500).json({ success: false, error: e.message || 'cleanup failed' });
@@ -61,6 +71,173 @@ router.get('/devices', (_req, res) => {
   res.json({ devices: deviceService.list() });
 });
 
+// AVD catalog
+router.get('/avds', async (req, res) => {
+  try {
+    res.json(await avdManager.listAvds());
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || 'list AVDs failed' });
+  }
+});
+
+router.post('/avds', async (req, res) => {
+  try {
+    res.status(201).json(await avdManager.createAvd(req.body || {}));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || 'create AVD failed' });
+  }
+});
+
+router.get('/avds/:name', async (req, res) => {
+  try {
+    res.json(await avdManager.getAvd(req.params.name));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || 'get AVD failed' });
+  }
+});
+
+router.delete('/avds/:name', async (req, res) => {
+  try {
+    res.json(await avdManager.deleteAvd(req.params.name));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || 'delete AVD failed' });
+  }
+});
+
+// Emulator launch defaults and named profiles from the config file
+router.get('/launch-profiles', (_req, res) => {
+  try {
+    const { defaults, profiles } = loadConfig();
+    res.json({ defaults, profiles });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || 'load launch profiles failed' });
+  }
+});
+
+router.get('/system-images', (req, res) => {
+  try {
+    res.json(avdManager.listSystemImages());
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || 'list system images failed' });
+  }
+});
+
+// A leased device only takes requests carrying its lease id (X-Lease-Id header).
+// Renew and release check the lease id from their body instead.
+router.use('/devices/:id', (req, res, next) => {
+  if (/^\/(release|lease)(\/|$)/.test(req.path)) return next();
+  try {
+    deviceService.checkLease(req.params.id, { leaseId: req.get('X-Lease-Id') });
+  } catch (e) {
+    return res.status(e.status || 500).json({ success: false, error: e.message });
+  }
+  return next();
+});
+
+// Long-poll until the device finished booting: 200 ready, 503 boot failed, 504 still booting
+router.get('/devices/:id/ready', async (req, res) => {
+  try {
+    const result = await deviceService.waitUntilReady(req.params.id, req.query.timeoutMs);
+    const code = result.ready ? 200 : (result.timedOut ? 504 : 503);
+    res.status(code).json({ deviceId: req.params.id, ...result });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || 'ready check failed' });
+  }
+});
+
+// Emulator lifecycle (one device at a time, unlike /cleanup)
+router.delete('/devices/:id', async (req, res) => {
+  try {
+    const result = await deviceService.remove(req.params.id);
+    res.json({ success: true, deviceId: req.params.id, ...result });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, error: e.message || 'remove failed' });
+  }
+});
+
+router.post('/devices/:id/stop', async (req, res) => {
+  try {
+    const device = await deviceService.stop(req.params.id);
+    res.json({ success: true, deviceId: device.id, status: device.status });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, error: e.message || 'stop failed' });
+  }
+});
+
+router.post('/devices/:id/restart', async (req, res) => {
+  try {
+    const device = await deviceService.restart(req.params.id);
+    res.json({ success: true, deviceId: device.id, status: device.status, emulator: device.meta.emulator });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, error: e.message || 'restart failed' });
+  }
+});
+
+// Emulator snapshots (adb emu avd snapshot ...)
+router.get('/devices/:id/snapshots', async (req, res) => {
+  try {
+    const snapshots = await deviceService.listSnapshots(req.params.id);
+    res.json({ deviceId: req.params.id, snapshots });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || 'list snapshots failed' });
+  }
+});
+
+router.post('/devices/:id/snapshots', async (req, res) => {
+  try {
+    const result = await deviceService.saveSnapshot(req.params.id, (req.body || {}).name);
+    res.status(201).json({ success: true, deviceId: req.params.id, ...result });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, error: e.message || 'save snapshot failed' });
+  }
+});
+
+router.post('/devices/:id/snapshots/:name/load', async (req, res) => {
+  try {
+    const result = await deviceService.loadSnapshot(req.params.id, req.params.name);
+    res.json({ success: true, deviceId: req.params.id, ...result });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, error: e.message || 'load snapshot failed' });
+  }
+});
+
+router.delete('/devices/:id/snapshots/:name', async (req, res) => {
+  try {
+    const result = await deviceService.deleteSnapshot(req.params.id, req.params.name);
+    res.json({ success: true, deviceId: req.params.id, ...result });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, error: e.message || 'delete snapshot failed' });
+  }
+});
+
+// Device pool leasing
+router.post('/devices/acquire', (req, res) => {
+  try {
+    const device = deviceService.acquire(req.body || {});
+    res.json({ success: true, deviceId: device.id, platform: device.platform, lease: device.lease, device });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, error: e.message || 'acquire failed' });
+  }
+});
+
+router.post('/devices/:id/release', (req, res) => {
+  try {
+    const device = deviceService.release(req.params.id, req.body || {});
+    res.json({ success: true, deviceId: device.id });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, error: e.message || 'release failed' });
+  }
+});
+
+router.post('/devices/:id/lease/renew', (req, res) => {
+  try {
+    const device = deviceService.renewLease(req.params.id, req.body || {});
+    res.json({ success: true, deviceId: device.id, lease: device.lease });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, error: e.message || 'lease renew failed' });
+  }
+});
+
 router.post('/devices/:id/proxy', (req, res) => {
   try {
     const updated = deviceService.updateProxy(req.params.id, (req.body || {}).proxy);
@@ -99,6 +276,88 @@ router.post('/devices/:id/tap', async (req, res) => {
   }
 });
 
+// UI hierarchy (uiautomator dump) as normalized JSON, or the raw XML with ?format=xml
+router.get('/devices/:id/ui', async (req, res) => {
+  try {
+    if (req.query.format === 'xml') {
+      const xml = await actionService.uiXml(req.params.id);
+      return res.type('application/xml').send(xml);
+    }
+    res.json(await actionService.uiHierarchy(req.params.id, req.query));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || 'ui dump failed' });
+  }
+});
+
+// Find / click elements by selector (resource-id, content-desc, class, regex text, XPath, relations)
+router.post('/devices/:id/find', async (req, res) => {
+  try {
+    res.json(await actionService.find(req.params.id, req.body || {}));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || 'find failed' });
+  }
+});
+
+router.post('/devices/:id/click', async (req, res) => {
+  try {
+    res.json(await actionService.click(req.params.id, req.body || {}));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || 'click failed' });
+  }
+});
+
+// Multi-touch gesture (pinch, rotate, multi-finger tap) replayed with sendevent
+router.post('/devices/:id/gesture', async (req, res) => {
+  try {
+    res.json(await actionService.gesture(req.params.id, req.body || {}));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || 'gesture failed' });
+  }
+});
+
+// Element-targeted gestures
+router.post('/devices/:id/long-press', async (req, res) => {
+  try {
+    res.json(await actionService.longPress(req.params.id, req.body || {}));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || 'long press failed' });
+  }
+});
+
+router.post('/devices/:id/set-text', async (req, res) => {
+  try {
+    res.json(await actionService.setText(req.params.id, req.body || {}));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || 'set text failed' });
+  }
+});
+
+router.post('/devices/:id/scroll-to', async (req, res) => {
+  try {
+    res.json(await actionService.scrollTo(req.params.id, req.body || {}));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || 'scroll failed' });
+  }
+});
+
+router.post('/devices/:id/drag', async (req, res) => {
+  try {
+    res.json(await actionService.drag(req.params.id, req.body || {}));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || 'drag failed' });
+  }
+});
+
+// Poll the screen until a selector/text/activity condition holds; 504 with diagnostics on timeout
+router.post('/devices/:id/wait', async (req, res) => {
+  try {
+    const result = await actionService.waitFor(req.params.id, req.body || {});
+    res.status(result.ok ? 200 : 504).json(result);
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || 'wait failed' });
+  }
+});
+
 // Click by text
 router.post('/devices/:id/click-by-text', async (req, res) => {
   try {
@@ -130,6 +389,15 @@ router.post('/devices/:id/type', async (req, res) => {
   }
 });
 
+// Key events: keycodes, long presses, meta-key combinations and sequences
+router.post('/devices/:id/keys', async (req, res) => {
+  try {
+    res.json(await actionService.keys(req.params.id, req.body || {}));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || 'keys failed' });
+  }
+});
+
 router.post('/devices/:id/back', async (req, res) => {
   try {
     const result = await actionService.back(req.params.id);
@@ -167,7 +435,7 @@ router.post('/devices/:id/adb', async (req, res) => {
     }
 
     const result = await deviceService.executeAdb(req.params.id, command);
-    res.json({ success: true, stdout: result.stdout, stderr: result.stderr });
+    res.json({ success: true, stdout: result.stdout });
   } catch (e) {
     res.status(e.status || 500).json({ success: false, error: e.message || 'adb failed' });
   }
@@ -193,6 +461,49 @@ router.post('/devices/:id/gps/set', async (req, res) => {
   }
 });
 
+// Raw NMEA: { "sentences": ["$GPRMC,..."] } or a fix to encode { "lat", "lon", "altitude", "speed", ... }
+router.post('/devices/:id/gps/nmea', async (req, res) => {
+  try {
+    const result = await actionService.sendNmea(req.params.id, req.body || {});
+    res.json(result);
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || 'nmea failed' });
+  }
+});
+
+// Emulator console controls
+router.post('/devices/:id/sensor', async (req, res) => {
+  try {
+    res.json(await actionService.sensor(req.params.id, req.body || {}));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || 'sensor failed' });
+  }
+});
+
+router.post('/devices/:id/power', async (req, res) => {
+  try {
+    res.json(await actionService.power(req.params.id, req.body || {}));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || 'power failed' });
+  }
+});
+
+router.post('/devices/:id/network', async (req, res) => {
+  try {
+    res.json(await actionService.network(req.params.id, req.body || {}));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || 'network failed' });
+  }
+});
+
+router.post('/devices/:id/sms', async (req, res) => {
+  try {
+    res.json(await actionService.sms(req.params.id, req.body || {}));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || 'sms failed' });
+  }
+});
+
 router.post('/devices/:id/gps/route', async (req, res) => {
   try {
     const result = await actionService.simulateRoute(req.params.id, req.body || {});
@@ -202,9 +513,101 @@ router.post('/devices/:id/gps/route', async (req, res) => {
   }
 });
 
+// Route simulation tasks
+router.get('/devices/:id/gps/routes', (req, res) => {
+  try {
+    res.json(actionService.listRoutes(req.params.id));
+  } catch (e) {
+    res.status(e.status || 404).json({ error: e.message || 'route list failed' });
+  }
+});
+
+router.get('/devices/:id/gps/routes/:taskId', (req, res) => {
+  try {
+    res.json(actionService.getRoute(req.params.id, req.params.taskId));
+  } catch (e) {
+    res.status(e.status || 404).json({ error: e.message || 'route lookup failed' });
+  }
+});
+
+router.delete('/devices/:id/gps/routes/:taskId', (req, res) => {
+  try {
+    res.json(actionService.controlRoute(req.params.id, req.params.taskId, 'cancel'));
+  } catch (e) {
+    res.status(e.status || 404).json({ error: e.message || 'route cancel failed' });
+  }
+});
+
+// Actions: pause | resume | seek (body: { "index": 42 })
+router.post('/devices/:id/gps/routes/:taskId/:action', (req, res) => {
+  try {
+    res.json(actionService.controlRoute(req.params.id, req.params.taskId, req.params.action, req.body || {}));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || 'route control failed' });
+  }
+});
+
+// Upload a recorded track file as the request body (curl --data-binary @drive.gpx)
+const trackBody = express.text({
+  type: [
+    'text/*',
+    'application/xml',
+    'application/gpx+xml',
+    'application/vnd.google-earth.kml+xml',
+    'application/geo+json',
+    'application/octet-stream',
+  ],
+  limit: '20mb',
+});
+
+router.post('/devices/:id/gps/route/import', trackBody, async (req, res) => {
+  try {
+    if (typeof req.body !== 'string' || req.body.length === 0) {
+      return res.status(400).json({ error: 'Track file contents are required as the request body' });
+    }
+    const { format, intervalMs, loop, useTimestamps, playbackRate } = req.query;
+    const result = await actionService.simulateRoute(req.params.id, {
+      data: req.body,
+      format,
+      intervalMs: intervalMs !== undefined ? Number(intervalMs) : undefined,
+      loop: loop === 'true',
+      useTimestamps: useTimestamps !== 'false',
+      playbackRate: playbackRate !== undefined ? Number(playbackRate) : undefined,
+    });
+    res.json(result);
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || 'route import failed' });
+  }
+});
+
+// Turn-by-turn navigation: directions provider -> Maps intent -> GPS route simulation
+router.post('/navigate', async (req, res) => {
+  try {
+    const result = await navigationService.navigate(req.body || {});
+    res.json(result);
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || 'navigate failed' });
+  }
+});
+
+router.post('/devices/:id/navigate', async (req, res) => {
+  try {
+    const result = await navigationService.navigate({ ...(req.body || {}), deviceId: req.params.id });
+    res.json(result);
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || 'navigate failed' });
+  }
+});
+
 // Screenshot
+// Without options: the device's own PNG. With format/quality/maxWidth/maxHeight/region: encoded on the host.
 router.post('/devices/:id/screenshot', async (req, res) => {
   try {
+    if (hasScreenshotOptions(req.query)) {
+      const shot = await actionService.screenshot(req.params.id, req.query);
+      res.set({ 'Content-Type': shot.contentType, 'X-Image-Width': shot.width, 'X-Image-Height': shot.height });
+      return res.send(shot.buffer);
+    }
     const stream = await actionService.screenshotStream(req.params.id);
     res.setHeader('Content-Type', 'image/png');
     stream.pipe(res);
@@ -213,9 +616,15 @@ router.post('/devices/:id/screenshot', async (req, res) => {
   }
 });
 
-// MJPEG-like stream using repeated PNG frames
+// MJPEG-like stream using repeated PNG frames, or host-encoded frames when screenshot options are given
 router.get('/devices/:id/stream', async (req, res) => {
   const boundary = 'frame';
+  let options = null;
+  try {
+    if (hasScreenshotOptions(req.query)) options = parseScreenshotOptions(req.query);
+  } catch (e) {
+    return res.status(e.status || 500).json({ error: e.message });
+  }
   res.writeHead(200, {
     'Cache-Control': 'no-cache, no-store, must-revalidate',
     'Pragma': 'no-cache',
@@ -229,12 +638,16 @@ router.get('/devices/:id/stream', async (req, res) => {
   req.on('close', () => { running = false; });
 
   async function captureOnce() {
+    if (options) {
+      const shot = await actionService.screenshot(req.params.id, req.query);
+      return { buffer: shot.buffer, contentType: shot.contentType };
+    }
     // Get one PNG buffer by consuming the screenshot stream
     const stream = await actionService.screenshotStream(req.params.id);
     return new Promise((resolve, reject) => {
       const chunks = [];
       stream.on('data', (c) => chunks.push(c));
-      stream.on('end', () => resolve(Buffer.concat(chunks)));
+      stream.on('end', () => resolve({ buffer: Buffer.concat(chunks), contentType: 'image/png' }));
       stream.on('error', reject);
     });
   }
@@ -242,11 +655,11 @@ router.get('/devices/:id/stream', async (req, res) => {
   async function loop() {
     while (running) {
       try {
-        const png = await captureOnce();
+        const frame = await captureOnce();
         res.write(`--${boundary}\r\n`);
-        res.write('Content-Type: image/png\r\n');
-        res.write(`Content-Length: ${png.length}\r\n\r\n`);
-        res.write(png);
+        res.write(`Content-Type: ${frame.contentType}\r\n`);
+        res.write(`Content-Length: ${frame.buffer.length}\r\n\r\n`);
+        res.write(frame.buffer);
         res.write('\r\n');
       } catch (_) {
         // If capture fails, wait a bit and retry
@@ -259,4 +672,83 @@ router.get('/devices/:id/stream', async (req, res) => {
   loop();
 });
 
+// Screen recordings: chained screenrecord segments, stitched into one MP4 on the host
+router.post('/devices/:id/recordings', (req, res) => {
+  try {
+    const recording = recordingService.start(req.params.id, req.body || {});
+    res.status(201).json({ success: true, recording });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, error: e.message || 'start recording failed' });
+  }
+});
+
+router.post('/devices/:id/recordings/:rid/stop', async (req, res) => {
+  try {
+    const recording = await recordingService.stop(req.params.id, req.params.rid);
+    res.json({ success: true, recording });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, error: e.message || 'stop recording failed' });
+  }
+});
+
+router.get('/devices/:id/recordings/:rid', (req, res) => {
+  try {
+    res.json(recordingService.get(req.params.id, req.params.rid));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || 'get recording failed' });
+  }
+});
+
+router.get('/devices/:id/recordings/:rid/video', (req, res) => {
+  try {
+    const file = recordingService.videoPath(req.params.id, req.params.rid, req.query.segment);
+    res.type('video/mp4').sendFile(file);
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || 'recording download failed' });
+  }
+});
+
+// Visual regression: compare screenshots with named baselines (app / screen / device profile)
+router.post('/devices/:id/visual-check', async (req, res) => {
+  try {
+    res.json(await visualService.check(req.params.id, req.body || {}));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || 'visual check failed' });
+  }
+});
+
+router.get('/baselines', (req, res) => {
+  try {
+    res.json({ baselines: visualService.list(req.query.app) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || 'list baselines failed' });
+  }
+});
+
+router.get('/baselines/:app/:screen/:profile', (req, res) => {
+  try {
+    res.json(visualService.get(req.params));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || 'get baseline failed' });
+  }
+});
+
+router.get('/baselines/:app/:screen/:profile/:image.png', (req, res) => {
+  try {
+    const { image, ...key } = req.params;
+    const file = visualService.imagePath(key, image);
+    res.type('image/png').sendFile(file);
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || 'baseline image failed' });
+  }
+});
+
+router.post('/baselines/:app/:screen/:profile/approve', async (req, res) => {
+  try {
+    res.json({ success: true, ...(await visualService.approve(req.params, req.body || {})) });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, error: e.message || 'approve baseline failed' });
+  }
+});
+
 module.exports = router;
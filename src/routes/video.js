@@ -0,0 +1,52 @@
+const http = require('http');
+const { WebSocketServer } = require('ws');
+const logger = require('../logger');
+const deviceService = require('../services/deviceService');
+const screenStreamService = require('../services/screenStreamService');
+
+const VIDEO_PATH_RE = /^\/devices\/([^/]+)\/video$/;
+
+// Answer an upgrade request with a plain HTTP error before any WebSocket handshake
+function rejectUpgrade(socket, status, message) {
+  const body = JSON.stringify({ error: message });
+  socket.end([
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status] || 'Error'}`,
+    'Content-Type: application/json',
+    `Content-Length: ${Buffer.byteLength(body)}`,
+    'Connection: close',
+    '',
+    body,
+  ].join('\r\n'));
+}
+
+/**
+ * WebSocket endpoint `GET /devices/:id/video` (live H.264, see services/screenStreamService.js).
+ * Express does not see upgrade requests, so this hooks the HTTP server directly.
+ * @param {http.Server} server
+ */
+function attachVideoSockets(server) {
+  // Viewers only receive; anything they send is ignored
+  const wss = new WebSocketServer({ noServer: true, maxPayload: 4096 });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    const m = url.pathname.match(VIDEO_PATH_RE);
+    if (!m) return rejectUpgrade(socket, 404, 'Not Found');
+
+    let deviceId;
+    let options;
+    try {
+      deviceId = decodeURIComponent(m[1]);
+      options = screenStreamService.prepare(deviceId, Object.fromEntries(url.searchParams));
+      // Browsers cannot set WebSocket headers, so the lease may also come as ?leaseId=
+      deviceService.checkLease(deviceId, { leaseId: req.headers['x-lease-id'] || url.searchParams.get('leaseId') });
+    } catch (e) {
+      return rejectUpgrade(socket, e.status || 500, e.message);
+    }
+    logger.info({ method: req.method, url: req.url }, 'video upgrade');
+    return wss.handleUpgrade(req, socket, head, (ws) => screenStreamService.join(deviceId, options, ws));
+  });
+  return wss;
+}
+
+module.exports = { attachVideoSockets };
@@ -1,4 +1,44 @@
 const ActionEngine = require('../actions/actionEngine');
+const { parseTrack } = require('../utils/trackParser');
+const { fixSentences, normalizeSentence } = require('../utils/nmea');
+const { filterNodes, withoutChildren, STRING_FILTERS, FLAG_FILTERS } = require('../utils/uiHierarchy');
+const { toRegExp } = require('../utils/selector');
+const { validatePointers } = require('../utils/gesture');
+const { parseKeySequence } = require('../utils/keys');
+const { parseScreenshotOptions } = require('../utils/screenshot');
+
+const MAX_WAIT_MS = 120000;
+
+// Emulator console `power` and `network` values
+const POWER_STATUS = ['unknown', 'charging', 'discharging', 'not-charging', 'full'];
+const POWER_HEALTH = ['unknown', 'good', 'overheat', 'dead', 'overvoltage', 'failure'];
+const NETWORK_SPEEDS = ['gsm', 'hscsd', 'gprs', 'edge', 'umts', 'hsdpa', 'lte', 'evdo', '5g', 'full'];
+const NETWORK_DELAYS = ['gprs', 'edge', 'umts', 'none'];
+const KBPS_OR_MS_RE = /^\d{1,7}(:\d{1,7})?$/;
+
+function requireSelector(selector, field = 'selector') {
+  if (!selector || typeof selector !== 'object' || Array.isArray(selector)) {
+    const e = new Error(`'${field}' is required and must be an object`);
+    e.status = 400;
+    throw e;
+  }
+  return selector;
+}
+
+function requireInt(value, field, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    const e = new Error(`'${field}' must be an integer between ${min} and ${max}`);
+    e.status = 400;
+    throw e;
+  }
+  return value;
+}
+
+function badRequest(message) {
+  const e = new Error(message);
+  e.status = 400;
+  return e;
+}
 
 const actionService = {
   async launchApp(deviceId, body) {
@@ -53,6 +93,14 @@ const actionService = {
     return ActionEngine.type(deviceId, { text });
   },
 
+  /**
+   * Key sequence: key names / keycodes, { key, longPress }, { key, meta }, { text } and { delayMs } steps.
+   */
+  async keys(deviceId, body) {
+    const keys = parseKeySequence(body?.keys);
+    return ActionEngine.pressKeys(deviceId, { keys });
+  },
+
   async back(deviceId) {
     return ActionEngine.back(deviceId);
   },
@@ -82,29 +130,398 @@ const actionService = {
   },
 
   async setGPS(deviceId, body) {
-    const { lat, lon } = body || {};
+    const { lat, lon, altitude, speed, bearing, satellites, hdop } = body || {};
     if (typeof lat !== 'number' || typeof lon !== 'number') {
       const e = new Error("'lat' and 'lon' must be numbers");
       e.status = 400;
       throw e;
     }
-    return ActionEngine.setGPS(deviceId, { lat, lon });
+    const extras = { altitude, speed, bearing, satellites, hdop };
+    for (const [k, v] of Object.entries(extras)) {
+      if (v !== undefined && (typeof v !== 'number' || !Number.isFinite(v))) {
+        const e = new Error(`'${k}' must be a number`);
+        e.status = 400;
+        throw e;
+      }
+    }
+    return ActionEngine.setGPS(deviceId, { lat, lon, ...extras });
+  },
+
+  async sendNmea(deviceId, body) {
+    const { sentences, types, ...fix } = body || {};
+    let out;
+    if (sentences !== undefined) {
+      if (!Array.isArray(sentences) || sentences.length === 0) {
+        const e = new Error("'sentences' must be a non-empty array of NMEA strings");
+        e.status = 400;
+        throw e;
+      }
+      out = sentences.map((raw) => {
+        const s = normalizeSentence(raw);
+        if (!s) {
+          const e = new Error(`Invalid NMEA sentence: ${String(raw).slice(0, 100)}`);
+          e.status = 400;
+          throw e;
+        }
+        return s;
+      });
+    } else {
+      if (typeof fix.lat !== 'number' || typeof fix.lon !== 'number') {
+        const e = new Error("Either 'sentences' or numeric 'lat' and 'lon' are required");
+        e.status = 400;
+        throw e;
+      }
+      for (const k of ['altitude', 'speed', 'bearing']) {
+        if (fix[k] !== undefined && (typeof fix[k] !== 'number' || !Number.isFinite(fix[k]))) {
+          const e = new Error(`'${k}' must be a number`);
+          e.status = 400;
+          throw e;
+        }
+      }
+      // GGA/GSA have room for 12 satellites in use
+      if (fix.satellites !== undefined && (!Number.isInteger(fix.satellites) || fix.satellites < 0 || fix.satellites > 12)) {
+        const e = new Error("'satellites' must be an integer between 0 and 12");
+        e.status = 400;
+        throw e;
+      }
+      for (const k of ['hdop', 'pdop', 'vdop']) {
+        if (fix[k] !== undefined && (typeof fix[k] !== 'number' || !Number.isFinite(fix[k]) || fix[k] < 0)) {
+          const e = new Error(`'${k}' must be a non-negative number`);
+          e.status = 400;
+          throw e;
+        }
+      }
+      if (fix.time !== undefined) {
+        const t = typeof fix.time === 'number' ? fix.time : Date.parse(fix.time);
+        if (!Number.isFinite(t)) {
+          const e = new Error("'time' must be epoch ms or an ISO date");
+          e.status = 400;
+          throw e;
+        }
+        fix.time = t;
+      }
+      out = fixSentences(fix, Array.isArray(types) ? types : undefined);
+    }
+    return ActionEngine.sendNmea(deviceId, out);
+  },
+
+  /**
+   * Emulated sensor: { sensor: 'acceleration', values: [0, 9.81, 0] }.
+   */
+  async sensor(deviceId, body) {
+    const { sensor, values } = body || {};
+    if (typeof sensor !== 'string' || !/^[a-z][a-z0-9-]{0,40}$/.test(sensor)) {
+      throw badRequest("'sensor' must be an emulator sensor name such as 'acceleration' or 'light'");
+    }
+    if (!Array.isArray(values) || values.length < 1 || values.length > 9
+      || values.some((v) => typeof v !== 'number' || !Number.isFinite(v))) {
+      throw badRequest("'values' must be an array of 1-9 numbers");
+    }
+    return ActionEngine.emulatorAction(deviceId, 'sensor', { name: sensor, values });
+  },
+
+  /**
+   * Battery: any of { ac, status, present, health, capacity }.
+   */
+  async power(deviceId, body) {
+    const { ac, status, present, health, capacity, ...rest } = body || {};
+    const unknown = Object.keys(rest)[0];
+    if (unknown) throw badRequest(`Unknown power setting '${unknown}'`);
+    const settings = {};
+    if (ac !== undefined) {
+      if (typeof ac !== 'boolean') throw badRequest("'ac' must be a boolean");
+      settings.ac = ac ? 'on' : 'off';
+    }
+    if (status !== undefined) {
+      if (!POWER_STATUS.includes(status)) throw badRequest(`'status' must be one of ${POWER_STATUS.join(', ')}`);
+      settings.status = status;
+    }
+    if (present !== undefined) {
+      if (typeof present !== 'boolean') throw badRequest("'present' must be a boolean");
+      settings.present = String(present);
+    }
+    if (health !== undefined) {
+      if (!POWER_HEALTH.includes(health)) throw badRequest(`'health' must be one of ${POWER_HEALTH.join(', ')}`);
+      settings.health = health;
+    }
+    if (capacity !== undefined) settings.capacity = requireInt(capacity, 'capacity', 0, 100);
+    if (!Object.keys(settings).length) throw badRequest('At least one power setting is required');
+    return ActionEngine.emulatorAction(deviceId, 'power', settings);
+  },
+
+  /**
+   * Network emulation: { speed: 'edge' | 'up:down' kbps, delay: 'umts' | 'min:max' ms }.
+   */
+  async network(deviceId, body) {
+    const { speed, delay } = body || {};
+    const settings = {};
+    if (speed !== undefined) {
+      if (!NETWORK_SPEEDS.includes(speed) && !KBPS_OR_MS_RE.test(String(speed))) {
+        throw badRequest(`'speed' must be one of ${NETWORK_SPEEDS.join(', ')} or 'up:down' in kbps`);
+      }
+      settings.speed = String(speed);
+    }
+    if (delay !== undefined) {
+      if (!NETWORK_DELAYS.includes(delay) && !KBPS_OR_MS_RE.test(String(delay))) {
+        throw badRequest(`'delay' must be one of ${NETWORK_DELAYS.join(', ')} or 'min:max' in ms`);
+      }
+      settings.delay = String(delay);
+    }
+    if (!Object.keys(settings).length) throw badRequest("'speed' or 'delay' is required");
+    return ActionEngine.emulatorAction(deviceId, 'network', settings);
+  },
+
+  /**
+   * Incoming SMS: { from: '+15551234567', text }.
+   */
+  async sms(deviceId, body) {
+    const { from, text } = body || {};
+    if (typeof from !== 'string' || !/^\+?[0-9]{1,20}$/.test(from)) {
+      throw badRequest("'from' must be a phone number of up to 20 digits");
+    }
+    if (typeof text !== 'string' || !text || text.length > 1000 || /[\r\n]/.test(text)) {
+      throw badRequest("'text' must be 1-1000 characters on a single line");
+    }
+    return ActionEngine.emulatorAction(deviceId, 'sms', { from, text });
   },
 
   async simulateRoute(deviceId, body) {
-    const { points, intervalMs, loop } = body || {};
+    const { intervalMs, loop, useTimestamps, playbackRate, format, data, interpolation, noise, clock } = body || {};
+    let { points } = body || {};
+    let detected;
+    if (data !== undefined) {
+      // Recorded track file contents (GPX, KML, GeoJSON or NMEA) instead of raw points
+      ({ points, format: detected } = parseTrack(data, format));
+    }
     if (!Array.isArray(points) || points.some(p => typeof p?.lat !== 'number' || typeof p?.lon !== 'number')) {
       const e = new Error("'points' must be an array of {lat:number, lon:number}");
       e.status = 400;
       throw e;
     }
-    return ActionEngine.simulateRoute(deviceId, { points, intervalMs, loop });
+    // Query parameters of /gps/route/import arrive here as Number(...), so NaN must fail too
+    for (const [field, value] of Object.entries({ playbackRate, intervalMs })) {
+      if (value !== undefined && !(typeof value === 'number' && Number.isFinite(value) && value > 0)) {
+        const e = new Error(`'${field}' must be a positive number`);
+        e.status = 400;
+        throw e;
+      }
+    }
+    if (interpolation !== undefined && (interpolation === null || typeof interpolation !== 'object')) {
+      const e = new Error("'interpolation' must be an object");
+      e.status = 400;
+      throw e;
+    }
+    if (clock !== undefined && !['now', 'track'].includes(clock) && !Number.isFinite(
+      typeof clock === 'number' ? clock : Date.parse(clock))) {
+      const e = new Error("'clock' must be 'now', 'track', epoch ms or an ISO date");
+      e.status = 400;
+      throw e;
+    }
+    const result = await ActionEngine.simulateRoute(deviceId, {
+      points, intervalMs, loop, useTimestamps, playbackRate, interpolation, noise, clock,
+    });
+    return detected ? { ...result, format: detected } : result;
+  },
+
+  listRoutes(deviceId) {
+    return { routes: ActionEngine.listRoutes(deviceId) };
+  },
+
+  getRoute(deviceId, taskId) {
+    return ActionEngine.getRoute(deviceId, taskId).toJSON();
+  },
+
+  controlRoute(deviceId, taskId, action, body) {
+    if (!['pause', 'resume', 'seek', 'cancel'].includes(action)) {
+      const e = new Error("'action' must be one of 'pause', 'resume', 'seek', 'cancel'");
+      e.status = 400;
+      throw e;
+    }
+    const { index } = body || {};
+    if (action === 'seek' && !Number.isInteger(index)) {
+      const e = new Error("'index' must be an integer");
+      e.status = 400;
+      throw e;
+    }
+    return ActionEngine.controlRoute(deviceId, taskId, action, { index });
+  },
+
+  /**
+   * Encoded screenshot: query `format`, `quality`, `maxWidth`, `maxHeight`, `region`.
+   */
+  async screenshot(deviceId, query) {
+    return ActionEngine.screenshot(deviceId, parseScreenshotOptions(query));
   },
 
   async screenshotStream(deviceId) {
     return ActionEngine.screenshotStream(deviceId);
   },
   
+  /**
+   * Normalized UI tree, or a flat list of nodes when `flat=true` or any filter is given.
+   * Filters come from the query string: text, textContains, resourceId, contentDesc, class,
+   * package and boolean flags such as clickable=true.
+   */
+  async uiHierarchy(deviceId, query) {
+    const { format = 'json', flat } = query || {};
+    if (format !== 'json') {
+      const e = new Error("'format' must be 'json' or 'xml'");
+      e.status = 400;
+      throw e;
+    }
+    const filter = {};
+    for (const key of [...STRING_FILTERS, 'textContains']) {
+      if (query[key] !== undefined) filter[key] = String(query[key]);
+    }
+    for (const key of FLAG_FILTERS) {
+      if (query[key] === undefined) continue;
+      if (query[key] !== 'true' && query[key] !== 'false') {
+        const e = new Error(`'${key}' must be 'true' or 'false'`);
+        e.status = 400;
+        throw e;
+      }
+      filter[key] = query[key] === 'true';
+    }
+
+    const tree = await ActionEngine.uiHierarchy(deviceId);
+    if (flat !== 'true' && Object.keys(filter).length === 0) return tree;
+    const nodes = filterNodes(tree.nodes, filter).map(withoutChildren);
+    return { rotation: tree.rotation, count: nodes.length, nodes };
+  },
+
+  async uiXml(deviceId) {
+    return ActionEngine.uiHierarchy(deviceId, { raw: true });
+  },
+
+  async find(deviceId, body) {
+    const selector = requireSelector(body?.selector);
+    const matches = await ActionEngine.findElements(deviceId, selector);
+    return { count: matches.length, matches: matches.map(withoutChildren) };
+  },
+
+  async click(deviceId, body) {
+    const { selector, index = 0 } = body || {};
+    requireSelector(selector);
+    if (!Number.isInteger(index) || index < 0) {
+      const e = new Error("'index' must be a non-negative integer");
+      e.status = 400;
+      throw e;
+    }
+    return ActionEngine.elementAction(deviceId, 'clickElement', { selector, index });
+  },
+
+  /**
+   * Multi-touch gesture: `pointers` is a list of fingers, each with a `path` of { x, y, t } waypoints.
+   */
+  async gesture(deviceId, body) {
+    const pointers = validatePointers(body?.pointers);
+    return ActionEngine.gesture(deviceId, { pointers });
+  },
+
+  async longPress(deviceId, body) {
+    const { selector, index = 0, durationMs = 1000 } = body || {};
+    return ActionEngine.elementAction(deviceId, 'longPressElement', {
+      selector: requireSelector(selector),
+      index: requireInt(index, 'index', 0, 1000),
+      durationMs: requireInt(durationMs, 'durationMs', 300, 10000),
+    });
+  },
+
+  async setText(deviceId, body) {
+    const { selector, index = 0, text, clear = true } = body || {};
+    if (typeof text !== 'string') {
+      const e = new Error("'text' is required and must be a string");
+      e.status = 400;
+      throw e;
+    }
+    if (typeof clear !== 'boolean') {
+      const e = new Error("'clear' must be a boolean");
+      e.status = 400;
+      throw e;
+    }
+    return ActionEngine.elementAction(deviceId, 'setElementText', {
+      selector: requireSelector(selector),
+      index: requireInt(index, 'index', 0, 1000),
+      text,
+      clear,
+    });
+  },
+
+  async scrollTo(deviceId, body) {
+    const { selector, container, direction = 'down', maxSwipes = 10 } = body || {};
+    if (!['down', 'up', 'left', 'right'].includes(direction)) {
+      const e = new Error("'direction' must be one of down, up, left, right");
+      e.status = 400;
+      throw e;
+    }
+    return ActionEngine.elementAction(deviceId, 'scrollToElement', {
+      selector: requireSelector(selector),
+      container: container === undefined ? undefined : requireSelector(container, 'container'),
+      direction,
+      maxSwipes: requireInt(maxSwipes, 'maxSwipes', 0, 50),
+    });
+  },
+
+  async drag(deviceId, body) {
+    const { from, to, fromIndex = 0, toIndex = 0, durationMs = 1000 } = body || {};
+    return ActionEngine.elementAction(deviceId, 'dragElement', {
+      from: requireSelector(from, 'from'),
+      to: requireSelector(to, 'to'),
+      fromIndex: requireInt(fromIndex, 'fromIndex', 0, 1000),
+      toIndex: requireInt(toIndex, 'toIndex', 0, 1000),
+      durationMs: requireInt(durationMs, 'durationMs', 100, 10000),
+    });
+  },
+
+  /**
+   * Wait for exactly one of: `selector` to appear (or disappear with `gone: true`),
+   * `text` to be shown, or `activity` to be in the foreground.
+   */
+  async waitFor(deviceId, body) {
+    const { selector, text, activity, gone = false, timeoutMs = 10000, intervalMs = 500 } = body || {};
+    const given = [selector, text, activity].filter((c) => c !== undefined).length;
+    if (given !== 1) {
+      const e = new Error("Exactly one of 'selector', 'text' or 'activity' is required");
+      e.status = 400;
+      throw e;
+    }
+    if (typeof gone !== 'boolean') {
+      const e = new Error("'gone' must be a boolean");
+      e.status = 400;
+      throw e;
+    }
+    if (!Number.isInteger(timeoutMs) || timeoutMs < 0 || timeoutMs > MAX_WAIT_MS) {
+      const e = new Error(`'timeoutMs' must be an integer between 0 and ${MAX_WAIT_MS}`);
+      e.status = 400;
+      throw e;
+    }
+    if (!Number.isInteger(intervalMs) || intervalMs < 100 || intervalMs > 10000) {
+      const e = new Error("'intervalMs' must be an integer between 100 and 10000");
+      e.status = 400;
+      throw e;
+    }
+
+    const options = { gone, timeoutMs, intervalMs };
+    if (selector !== undefined) {
+      options.selector = requireSelector(selector);
+    } else if (text !== undefined) {
+      if (typeof text !== 'string' || !text) {
+        const e = new Error("'text' must be a non-empty string");
+        e.status = 400;
+        throw e;
+      }
+      options.selector = { textContains: text };
+    } else {
+      if (typeof activity !== 'string' || !activity) {
+        const e = new Error("'activity' must be a component like 'com.app/.MainActivity', a package, or '/regex/'");
+        e.status = 400;
+        throw e;
+      }
+      options.activity = /^\/.+\/[imsu]*$/.test(activity) ? toRegExp(activity, 'activity') : activity;
+    }
+    return ActionEngine.waitFor(deviceId, options);
+  },
+
   async clickByText(deviceId, body) {
     const { text, exact, index } = body || {};
     if (typeof text !== 'string') {
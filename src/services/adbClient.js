@@ -0,0 +1,385 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const adbkit = require('adbkit');
+const logger = require('../logger');
+const { shellQuote } = require('../utils/shell');
+
+const DEFAULT_TIMEOUT_MS = Number(process.env.ADB_TIMEOUT_MS || 30000);
+const MAX_OUTPUT_BYTES = 64 * 1024 * 1024;
+// Appended to every shell command so both transports report the device-side exit status
+const EXIT_MARKER = '__ADB_EXIT=';
+const EXIT_RE = new RegExp(`\\r?\\n${EXIT_MARKER}(\\d+)\\r?\\n?$`);
+const SCRIPT_DIR = '/data/local/tmp';
+
+/**
+ * Structured adb failure: `command` as run, `exitCode` (null when unknown), `stdout`, `stderr`
+ * (only when it was captured separately), and an HTTP `status` (504 on timeout).
+ */
+function adbError(message, { status = 500, command, exitCode = null, stdout = '', stderr, timedOut = false } = {}) {
+  const e = Object.assign(new Error(message), { status, command, exitCode, stdout, timedOut });
+  if (stderr !== undefined) e.stderr = stderr;
+  return e;
+}
+
+// Device-side command line: strings are passed through as shell syntax, argv arrays are quoted word by word
+function toCommandLine(command) {
+  return Array.isArray(command) ? command.map((a) => shellQuote(a)).join(' ') : String(command);
+}
+
+function describe(serial, args) {
+  return `adb${serial ? ` -s ${serial}` : ''} ${args.join(' ')}`;
+}
+
+function requireSerial(serial) {
+  if (!serial) throw adbError('Device serial number is required', { status: 400 });
+}
+
+// Reject after `ms`, calling `onTimeout` so the caller can tear down the socket or process
+function withTimeout(promise, ms, command, onTimeout = () => {}) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      onTimeout();
+      reject(adbError(`${command} timed out after ${ms} ms`, { status: 504, command, timedOut: true }));
+    }, ms);
+  });
+  return Promise.race([Promise.resolve(promise), timeout]).finally(() => clearTimeout(timer));
+}
+
+function readStream(stream, command) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    stream.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_OUTPUT_BYTES) {
+        stream.destroy();
+        reject(adbError(`${command} produced more than ${MAX_OUTPUT_BYTES} bytes`, { command }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', (e) => reject(adbError(`${command} failed: ${e.message}`, { command })));
+  });
+}
+
+/**
+ * The one way this service talks to adb.
+ *
+ * - `socket` transport (default): commands go straight to the adb server over its TCP socket via
+ *   adbkit, so a tap or GPS tick no longer forks a process. The adb protocol needs one socket per
+ *   service request; the client (and the server's device transports) are shared.
+ * - `cli` transport: every call forks the adb binary with an argv array (never a host shell).
+ *
+ * Point ADB_SERVER_HOST / ADB_SERVER_PORT (or `configure()`) at a fake server in tests.
+ * `emu` always uses the binary: the emulator console is not reachable through the adb server.
+ */
+class AdbClient {
+  constructor() {
+    this.configure();
+  }
+
+  /**
+   * @param {{transport?: 'socket'|'cli', host?: string, port?: number, bin?: string}} [options]
+   */
+  configure({
+    transport = process.env.ADB_TRANSPORT || 'socket',
+    host = process.env.ADB_SERVER_HOST || '127.0.0.1',
+    port = Number(process.env.ADB_SERVER_PORT || 5037),
+    bin = process.env.ADB_BIN || 'adb',
+  } = {}) {
+    if (!['socket', 'cli'].includes(transport)) throw new Error(`Unknown ADB_TRANSPORT '${transport}' (socket or cli)`);
+    this.transport = transport;
+    this.bin = bin;
+    this.client = transport === 'socket' ? adbkit.createClient({ host, port, bin }) : null;
+    return this;
+  }
+
+  /**
+   * Fork the adb binary with argv `args` (global options such as -s included).
+   * @param {string[]} args
+   * @param {{timeout?: number, input?: string|Buffer, encoding?: 'utf8'|'buffer'}} [options]
+   * @returns {Promise<string|Buffer>} stdout
+   */
+  run(args, { timeout = DEFAULT_TIMEOUT_MS, input, encoding = 'utf8' } = {}) {
+    const command = describe(null, args);
+    const started = Date.now();
+    return new Promise((resolve, reject) => {
+      const proc = spawn(this.bin, args, { stdio: [input !== undefined ? 'pipe' : 'ignore', 'pipe', 'pipe'] });
+      const out = [];
+      let stderr = '';
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        proc.kill('SIGKILL');
+      }, timeout);
+
+      proc.stdout.on('data', (d) => out.push(d));
+      proc.stderr.on('data', (d) => { stderr += d.toString(); });
+      proc.on('error', (e) => {
+        clearTimeout(timer);
+        reject(adbError(`adb is not available: ${e.message}`, { command }));
+      });
+      proc.on('close', (code, signal) => {
+        clearTimeout(timer);
+        const buffer = Buffer.concat(out);
+        const stdout = encoding === 'buffer' ? buffer : buffer.toString('utf8');
+        logger.debug(`${command} -> ${signal || code} (${Date.now() - started} ms)`);
+        if (timedOut) {
+          return reject(adbError(`${command} timed out after ${timeout} ms`, { status: 504, command, timedOut: true, stderr }));
+        }
+        if (code !== 0) {
+          const detail = stderr.trim() || (encoding === 'buffer' ? '' : stdout.trim()) || 'Unknown error';
+          return reject(adbError(`${command} failed (${signal || `exit code ${code}`}): ${detail}`, {
+            command, exitCode: code, stdout: encoding === 'buffer' ? '' : stdout, stderr,
+          }));
+        }
+        return resolve(stdout);
+      });
+      if (input !== undefined) {
+        proc.stdin.on('error', () => {});
+        proc.stdin.end(input);
+      }
+    });
+  }
+
+  /**
+   * Run a command in the device shell and return its output; a non-zero exit status rejects.
+   * The output is stdout and stderr interleaved: adbkit's shell stream cannot tell them apart,
+   * so the CLI transport merges them as well.
+   * @param {string} serial
+   * @param {string|string[]} command shell syntax as a string, or an argv array quoted word by word
+   * @param {{timeout?: number}} [options]
+   * @returns {Promise<string>}
+   */
+  async shell(serial, command, { timeout = DEFAULT_TIMEOUT_MS } = {}) {
+    requireSerial(serial);
+    const line = toCommandLine(command);
+    const wrapped = `{ ${line}\n} 2>&1\nprintf '\\n${EXIT_MARKER}%d\\n' $?`;
+    const label = describe(serial, ['shell', line]);
+    const started = Date.now();
+
+    let raw;
+    if (this.transport === 'cli') {
+      raw = await this.run(['-s', serial, 'shell', wrapped], { timeout });
+    } else {
+      let stream;
+      raw = (await withTimeout(
+        this.socketCall(label, () => this.client.shell(serial, wrapped))
+          .then((s) => { stream = s; return readStream(s, label); }),
+        timeout, label, () => stream && stream.destroy(),
+      )).toString('utf8');
+    }
+
+    const m = raw.match(EXIT_RE);
+    const stdout = m ? raw.slice(0, m.index) : raw;
+    const exitCode = m ? Number(m[1]) : null;
+    logger.debug(`${label} -> ${exitCode} (${Date.now() - started} ms)`);
+    if (exitCode) {
+      throw adbError(`${label} failed (exit code ${exitCode}): ${stdout.trim() || 'Unknown error'}`, {
+        command: label, exitCode, stdout,
+      });
+    }
+    return stdout;
+  }
+
+  /**
+   * Binary-safe output of a device command (adb exec-out), e.g. `screencap -p`.
+   * The exit status is not available on this path.
+   * @returns {Promise<Buffer>}
+   */
+  async execOut(serial, command, { timeout = DEFAULT_TIMEOUT_MS } = {}) {
+    requireSerial(serial);
+    const line = toCommandLine(command);
+    if (this.transport === 'cli') {
+      return this.run(['-s', serial, 'exec-out', line], { timeout, encoding: 'buffer' });
+    }
+    const label = describe(serial, ['exec-out', line]);
+    const started = Date.now();
+    let stream;
+    const out = await withTimeout(
+      this.socketCall(label, () => this.client.openLocal(serial, `exec:${line}`))
+        .then((s) => { stream = s; return readStream(s, label); }),
+      timeout, label, () => stream && stream.destroy(),
+    );
+    logger.debug(`${label} -> ${out.length} bytes (${Date.now() - started} ms)`);
+    return out;
+  }
+
+  /**
+   * Output of a long-running device command (e.g. `screenrecord ... -`) as it is produced.
+   * The stream ends when the command exits; destroying it stops the command.
+   * @returns {Promise<import('stream').Readable>}
+   */
+  async openStream(serial, command) {
+    requireSerial(serial);
+    const line = toCommandLine(command);
+    const label = describe(serial, ['exec-out', line]);
+    if (this.transport === 'cli') {
+      const proc = spawn(this.bin, ['-s', serial, 'exec-out', line], { stdio: ['ignore', 'pipe', 'pipe'] });
+      let stderr = '';
+      proc.stderr.on('data', (d) => { stderr = (stderr + d).slice(-4096); });
+      proc.on('error', (e) => proc.stdout.destroy(adbError(`adb is not available: ${e.message}`, { command: label })));
+      proc.on('close', (code, signal) => {
+        logger.debug(`${label} -> ${signal || code}${stderr.trim() ? `: ${stderr.trim()}` : ''}`);
+      });
+      proc.stdout.on('close', () => {
+        if (proc.exitCode === null && proc.signalCode === null) proc.kill('SIGKILL');
+      });
+      return proc.stdout;
+    }
+    const stream = await withTimeout(
+      this.socketCall(label, () => this.client.openLocal(serial, `exec:${line}`)),
+      DEFAULT_TIMEOUT_MS, label,
+    );
+    logger.debug(`${label} opened`);
+    return stream;
+  }
+
+  /**
+   * Run a (possibly long) shell script on the device. The CLI transport feeds it to `sh` on stdin;
+   * the socket transport pushes it to a temp file first.
+   */
+  async shellScript(serial, script, { timeout = DEFAULT_TIMEOUT_MS } = {}) {
+    requireSerial(serial);
+    if (this.transport === 'cli') {
+      await this.run(['-s', serial, 'shell', 'sh'], { timeout, input: script });
+      return;
+    }
+    const remote = `${SCRIPT_DIR}/script-${process.pid}-${Date.now()}.sh`;
+    await this.push(serial, Buffer.from(script), remote);
+    try {
+      await this.shell(serial, ['sh', remote], { timeout });
+    } finally {
+      await this.shell(serial, ['rm', '-f', remote]).catch(() => {});
+    }
+  }
+
+  /**
+   * Copy a local file or a Buffer to the device.
+   */
+  async push(serial, source, remote, { timeout = DEFAULT_TIMEOUT_MS } = {}) {
+    requireSerial(serial);
+    if (this.transport === 'cli') {
+      if (Buffer.isBuffer(source)) {
+        await this.run(['-s', serial, 'shell', `cat > ${shellQuote(remote)}`], { timeout, input: source });
+      } else {
+        await this.run(['-s', serial, 'push', source, remote], { timeout });
+      }
+      return;
+    }
+    const label = describe(serial, ['push', Buffer.isBuffer(source) ? '<buffer>' : source, remote]);
+    const contents = Buffer.isBuffer(source) ? Readable.from([source]) : source;
+    await withTimeout(
+      this.socketCall(label, () => this.client.push(serial, contents, remote)).then((transfer) => new Promise((resolve, reject) => {
+        transfer.on('end', resolve);
+        transfer.on('error', (e) => reject(adbError(`${label} failed: ${e.message}`, { command: label })));
+      })),
+      timeout, label,
+    );
+    logger.debug(`${label} done`);
+  }
+
+  /**
+   * Read a device file. Writes it to `local` when given (streamed, so any size), otherwise
+   * resolves with its contents.
+   * @returns {Promise<Buffer|undefined>}
+   */
+  async pull(serial, remote, local, { timeout = DEFAULT_TIMEOUT_MS } = {}) {
+    requireSerial(serial);
+    if (this.transport === 'cli') {
+      if (local) {
+        await this.run(['-s', serial, 'pull', remote, local], { timeout });
+        return undefined;
+      }
+      return this.run(['-s', serial, 'exec-out', toCommandLine(['cat', remote])], { timeout, encoding: 'buffer' });
+    }
+    const label = describe(serial, ['pull', remote]);
+    let stream;
+    const transfer = this.socketCall(label, () => this.client.pull(serial, remote)).then((s) => {
+      stream = s;
+      if (!local) return readStream(s, label);
+      return pipeline(s, fs.createWriteStream(local))
+        .catch((e) => { throw adbError(`${label} failed: ${e.message}`, { command: label }); });
+    });
+    const data = await withTimeout(transfer, timeout, label, () => stream && stream.cancel && stream.cancel());
+    logger.debug(`${label} -> ${local || `${data.length} bytes`}`);
+    return local ? undefined : data;
+  }
+
+  /** Forward a host socket to the device, e.g. ('tcp:27183', 'localabstract:scrcpy'). */
+  async forward(serial, local, remote) {
+    requireSerial(serial);
+    if (this.transport === 'cli') {
+      await this.run(['-s', serial, 'forward', local, remote]);
+      return;
+    }
+    const label = describe(serial, ['forward', local, remote]);
+    await withTimeout(this.socketCall(label, () => this.client.forward(serial, local, remote)), DEFAULT_TIMEOUT_MS, label);
+    logger.debug(`${label} done`);
+  }
+
+  /** Install (or reinstall) an APK from a host path. */
+  async install(serial, apk, { timeout = 120000 } = {}) {
+    requireSerial(serial);
+    if (this.transport === 'cli') {
+      await this.run(['-s', serial, 'install', '-r', apk], { timeout });
+      return;
+    }
+    const label = describe(serial, ['install', apk]);
+    await withTimeout(this.socketCall(label, () => this.client.install(serial, apk)), timeout, label);
+    logger.debug(`${label} done`);
+  }
+
+  /** Emulator console command (adb emu ...); always through the binary. */
+  emu(serial, args, { timeout = DEFAULT_TIMEOUT_MS } = {}) {
+    requireSerial(serial);
+    return this.run(['-s', serial, 'emu', ...args.map(String)], { timeout });
+  }
+
+  /**
+   * Attached devices as serial -> state ('device', 'offline', 'unauthorized', ...).
+   * @returns {Promise<Map<string, string>>}
+   */
+  async devices() {
+    const states = new Map();
+    if (this.transport === 'cli') {
+      const out = await this.run(['devices'], { timeout: 10000 });
+      for (const line of out.split(/\r?\n/).slice(1)) {
+        const [serial, state] = line.trim().split(/\s+/);
+        if (serial && state) states.set(serial, state);
+      }
+      return states;
+    }
+    const list = await withTimeout(this.socketCall('adb devices', () => this.client.listDevices()), 10000, 'adb devices');
+    for (const d of list) states.set(d.id, d.type);
+    return states;
+  }
+
+  /**
+   * adb command line style entry point: `['shell', ...]` and `['exec-out', ...]` run on the device
+   * (argv quoted word by word), `['emu', ...]` goes to the console, anything else to the binary.
+   */
+  async exec(serial, args, options = {}) {
+    const [first, ...rest] = args;
+    if (first === 'shell' && rest.length) return this.shell(serial, rest, options);
+    if (first === 'exec-out' && rest.length) return (await this.execOut(serial, rest, options)).toString('utf8');
+    if (first === 'emu') return this.emu(serial, rest, options);
+    return this.run(serial ? ['-s', serial, ...args] : args, options);
+  }
+
+  // adbkit returns Bluebird promises and protocol errors; normalize both
+  socketCall(label, fn) {
+    return Promise.resolve()
+      .then(fn)
+      .catch((e) => {
+        if (e.status) throw e;
+        throw adbError(`${label} failed: ${e.message}`, { command: label });
+      });
+  }
+}
+
+module.exports = new AdbClient();
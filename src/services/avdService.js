@@ -0,0 +1,280 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const deviceManager = require('../devices/deviceManager');
+const logger = require('../logger');
+const { loadConfig } = require('../config/launchConfig');
+
+const DEFAULT_SDK_ROOT = process.env.ANDROID_SDK_ROOT || process.env.ANDROID_HOME || '/root/Android/Sdk';
+const AVD_HOME = process.env.ANDROID_AVD_HOME || path.join(os.homedir(), '.android', 'avd');
+const AVDMANAGER_TIMEOUT_MS = 120000;
+
+const NAME_RE = /^[A-Za-z0-9._-]{1,64}$/;
+const IMAGE_RE = /^system-images;[^;\s]+;[^;\s]+;[^;\s]+$/;
+// Devices in these states still have the AVD's files open
+const IN_USE_STATES = ['starting', 'booting', 'ready', 'stopping'];
+
+function avdError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+// The emulator config file may point at a different SDK than the environment
+function sdkRoot() {
+  return loadConfig().defaults.sdkRoot || DEFAULT_SDK_ROOT;
+}
+
+function toolEnv() {
+  const root = sdkRoot();
+  return {
+    ...process.env,
+    ANDROID_HOME: root,
+    ANDROID_SDK_ROOT: root,
+    PATH: [
+      process.env.PATH,
+      path.join(root, 'cmdline-tools/latest/bin'),
+      path.join(root, 'emulator'),
+      path.join(root, 'tools/bin'),
+    ].join(':'),
+  };
+}
+
+// Run an SDK tool with argv (no shell); `input` is written to stdin (avdmanager asks questions)
+function run(command, args, { input, timeout = AVDMANAGER_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    logger.debug(`Executing: ${command} ${args.join(' ')}`);
+    const proc = spawn(command, args, { stdio: [input ? 'pipe' : 'ignore', 'pipe', 'pipe'], env: toolEnv() });
+    let output = '';
+    let error = '';
+    const timer = setTimeout(() => proc.kill('SIGKILL'), timeout);
+
+    proc.stdout.on('data', (d) => { output += d.toString(); });
+    proc.stderr.on('data', (d) => { error += d.toString(); });
+    proc.on('error', (e) => {
+      clearTimeout(timer);
+      reject(avdError(`${command} is not available: ${e.message}`, 500));
+    });
+    proc.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) return resolve(output);
+      const reason = signal ? `killed by ${signal}` : `exit code ${code}`;
+      return reject(avdError(`${command} failed (${reason}): ${(error || output).trim() || 'Unknown error'}`, 500));
+    });
+    if (input) {
+      // The tool may exit without reading its prompt answers
+      proc.stdin.on('error', () => {});
+      proc.stdin.end(input);
+    }
+  });
+}
+
+/** Parse a key=value .ini / source.properties file; missing or unreadable files yield {}. */
+function readIni(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf-8');
+  } catch (_) {
+    return {};
+  }
+  const values = {};
+  for (const line of text.split(/\r?\n/)) {
+    const m = line.match(/^\s*([^#=\s][^=]*?)\s*=\s*(.*?)\s*$/);
+    if (m) values[m[1]] = m[2];
+  }
+  return values;
+}
+
+function writeIni(file, values) {
+  const body = Object.entries(values).map(([k, v]) => `${k}=${v}`).join('\n');
+  fs.writeFileSync(file, `${body}\n`);
+}
+
+function apiLevelOf(platformDir) {
+  const m = String(platformDir || '').match(/android-(\d+)/);
+  return m ? Number(m[1]) : null;
+}
+
+function parseResolution(resolution) {
+  if (resolution === undefined) return null;
+  const m = typeof resolution === 'string' ? resolution.match(/^(\d+)x(\d+)$/) : null;
+  const r = m ? { width: Number(m[1]), height: Number(m[2]) } : resolution;
+  if (!r || !Number.isInteger(r.width) || !Number.isInteger(r.height) || r.width < 1 || r.height < 1) {
+    throw avdError("'resolution' must be 'WIDTHxHEIGHT' or { width, height }", 400);
+  }
+  return r;
+}
+
+function positiveInt(value, field) {
+  if (value === undefined) return undefined;
+  if (!Number.isInteger(value) || value <= 0) throw avdError(`'${field}' must be a positive integer`, 400);
+  return value;
+}
+
+/**
+ * Catalog of AVDs and installed system images, plus avdmanager-backed create/delete.
+ */
+class AvdManager {
+  constructor() {
+    this.avdHome = AVD_HOME;
+  }
+
+  /**
+   * Names reported by `emulator -list-avds`; empty if the emulator binary is unavailable.
+   */
+  async listEmulatorAvds() {
+    try {
+      const output = await run('emulator', ['-list-avds'], { timeout: 15000 });
+      // Newer emulators print INFO lines before the names
+      return output.split(/\r?\n/).map((l) => l.trim()).filter((l) => l && !/^(INFO|WARNING|ERROR)\b/.test(l));
+    } catch (e) {
+      logger.warn(`emulator -list-avds failed: ${e.message}`);
+      return [];
+    }
+  }
+
+  describe(name, listed) {
+    const ini = readIni(path.join(this.avdHome, `${name}.ini`));
+    const avdPath = ini.path || path.join(this.avdHome, `${name}.avd`);
+    const config = readIni(path.join(avdPath, 'config.ini'));
+    const sysdir = config['image.sysdir.1'] || '';
+    const [, platformDir, tag, abi] = sysdir.replace(/\/$/, '').split('/');
+    const width = Number(config['hw.lcd.width']);
+    const height = Number(config['hw.lcd.height']);
+    return {
+      name,
+      path: avdPath,
+      target: ini.target || null,
+      image: platformDir ? `system-images;${platformDir};${tag};${abi}` : null,
+      apiLevel: apiLevelOf(ini.target || platformDir),
+      tag: config['tag.id'] || tag || null,
+      abi: config['abi.type'] || abi || null,
+      device: config['hw.device.name'] || null,
+      ramMb: config['hw.ramSize'] ? parseInt(config['hw.ramSize'], 10) : null,
+      storage: config['disk.dataPartition.size'] || null,
+      resolution: width && height ? { width, height } : null,
+      density: config['hw.lcd.density'] ? Number(config['hw.lcd.density']) : null,
+      listed,
+    };
+  }
+
+  /**
+   * AVDs known to the emulator or present under the AVD home, with their config.
+   * `listed` is false for AVDs whose .ini exists but that `emulator -list-avds` did not report.
+   */
+  async listAvds() {
+    const listed = new Set(await this.listEmulatorAvds());
+    const names = new Set(listed);
+    try {
+      for (const f of fs.readdirSync(this.avdHome)) {
+        if (f.endsWith('.ini')) names.add(f.slice(0, -4));
+      }
+    } catch (_) { /* no AVD home yet */ }
+    return Array.from(names).sort().map((name) => this.describe(name, listed.has(name)));
+  }
+
+  async getAvd(name) {
+    const avd = (await this.listAvds()).find((a) => a.name === name);
+    if (!avd) throw avdError(`AVD '${name}' not found`, 404);
+    return avd;
+  }
+
+  /**
+   * Installed system images from $ANDROID_SDK_ROOT/system-images/<platform>/<tag>/<abi>.
+   */
+  listSystemImages() {
+    const root = path.join(sdkRoot(), 'system-images');
+    const dirs = (p) => {
+      try {
+        return fs.readdirSync(p, { withFileTypes: true }).filter((e) => e.isDirectory()).map((e) => e.name);
+      } catch (_) {
+        return [];
+      }
+    };
+    const images = [];
+    for (const platformDir of dirs(root)) {
+      for (const tag of dirs(path.join(root, platformDir))) {
+        for (const abi of dirs(path.join(root, platformDir, tag))) {
+          const dir = path.join(root, platformDir, tag, abi);
+          const props = readIni(path.join(dir, 'source.properties'));
+          images.push({
+            id: `system-images;${platformDir};${tag};${abi}`,
+            apiLevel: Number(props['AndroidVersion.ApiLevel']) || apiLevelOf(platformDir),
+            tag,
+            abi,
+            description: props['SystemImage.TagDisplay'] || props['Pkg.Desc'] || null,
+            revision: props['Pkg.Revision'] || null,
+            path: dir,
+          });
+        }
+      }
+    }
+    return images;
+  }
+
+  /**
+   * Create an AVD with avdmanager, then apply hardware overrides to its config.ini.
+   * @param {{name: string, image: string, device?: string, ramMb?: number, storageMb?: number,
+   *   resolution?: string|{width: number, height: number}, density?: number, force?: boolean}} spec
+   */
+  async createAvd(spec = {}) {
+    const { name, image, device, force = false } = spec;
+    if (typeof name !== 'string' || !NAME_RE.test(name)) {
+      throw avdError("'name' must be 1-64 characters of letters, digits, '.', '_' or '-'", 400);
+    }
+    if (typeof image !== 'string' || !IMAGE_RE.test(image)) {
+      throw avdError("'image' must be a system image id like 'system-images;android-33;google_apis;x86_64'", 400);
+    }
+    if (device !== undefined && (typeof device !== 'string' || !device.trim())) {
+      throw avdError("'device' must be a device profile id or name (see `avdmanager list device`)", 400);
+    }
+    const ramMb = positiveInt(spec.ramMb, 'ramMb');
+    const storageMb = positiveInt(spec.storageMb, 'storageMb');
+    const density = positiveInt(spec.density, 'density');
+    const resolution = parseResolution(spec.resolution);
+
+    if (!this.listSystemImages().some((i) => i.id === image)) {
+      throw avdError(`System image '${image}' is not installed (sdkmanager "${image}")`, 404);
+    }
+    if (fs.existsSync(path.join(this.avdHome, `${name}.ini`))) {
+      if (!force) throw avdError(`AVD '${name}' already exists`, 409);
+      this.assertNotInUse(name);
+    }
+
+    const args = ['create', 'avd', '-n', name, '-k', image];
+    if (device) args.push('-d', device);
+    if (force) args.push('--force');
+    // "Do you wish to create a custom hardware profile?" -> no
+    await run('avdmanager', args, { input: 'no\n' });
+
+    const avd = this.describe(name, true);
+    const configFile = path.join(avd.path, 'config.ini');
+    const config = readIni(configFile);
+    if (ramMb) config['hw.ramSize'] = `${ramMb}M`;
+    if (storageMb) config['disk.dataPartition.size'] = `${storageMb}M`;
+    if (resolution) {
+      config['hw.lcd.width'] = String(resolution.width);
+      config['hw.lcd.height'] = String(resolution.height);
+    }
+    if (density) config['hw.lcd.density'] = String(density);
+    if (ramMb || storageMb || resolution || density) writeIni(configFile, config);
+
+    logger.info(`Created AVD ${name} from ${image}${device ? ` (${device})` : ''}`);
+    return this.describe(name, true);
+  }
+
+  assertNotInUse(name) {
+    const user = deviceManager.list().find((d) => d.meta?.emulator?.avd === name && IN_USE_STATES.includes(d.status));
+    if (user) throw avdError(`AVD '${name}' is in use by device ${user.id}`, 409);
+  }
+
+  async deleteAvd(name) {
+    if (typeof name !== 'string' || !NAME_RE.test(name)) throw avdError('Invalid AVD name', 400);
+    if (!fs.existsSync(path.join(this.avdHome, `${name}.ini`))) throw avdError(`AVD '${name}' not found`, 404);
+    this.assertNotInUse(name);
+    await run('avdmanager', ['delete', 'avd', '-n', name]);
+    logger.info(`Deleted AVD ${name}`);
+    return { deleted: true, name };
+  }
+}
+
+module.exports = new AvdManager();
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+
+const DEFAULT_DIR = path.join(__dirname, '../../.state/baselines');
+// No leading dot, so a name can never be "." or ".."
+const NAME_RE = /^[A-Za-z0-9_-][A-Za-z0-9._-]{0,99}$/;
+const IMAGES = {
+  baseline: 'baseline.png',
+  actual: 'last-actual.png',
+  diff: 'last-diff.png',
+};
+
+function storeError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Screenshot baselines on disk, one directory per app / screen / device profile:
+ *
+ *   <dir>/<app>/<screen>/<profile>/baseline.png + baseline.json (comparison settings, approval)
+ *                                  last-actual.png, last-diff.png + last.json (latest check)
+ *
+ * The directory can live in a repository to review baseline changes like code.
+ */
+class BaselineStore {
+  constructor(dir = process.env.BASELINES_DIR || DEFAULT_DIR) {
+    this.dir = path.resolve(dir);
+  }
+
+  /**
+   * Validate a baseline key.
+   * @returns {{app: string, screen: string, profile: string}}
+   */
+  key({ app, screen, profile }) {
+    for (const [field, value] of Object.entries({ app, screen, profile })) {
+      if (typeof value !== 'string' || !NAME_RE.test(value)) {
+        throw storeError(`'${field}' is required: letters, digits, '.', '_' or '-' (up to 100, not starting with '.')`, 400);
+      }
+    }
+    return { app, screen, profile };
+  }
+
+  path(key, file) {
+    return path.join(this.dir, key.app, key.screen, key.profile, file);
+  }
+
+  /**
+   * @returns {{meta: object, png: Buffer}|null}
+   */
+  get(key) {
+    try {
+      return {
+        meta: JSON.parse(fs.readFileSync(this.path(key, 'baseline.json'), 'utf-8')),
+        png: fs.readFileSync(this.path(key, IMAGES.baseline)),
+      };
+    } catch (e) {
+      if (e.code !== 'ENOENT') logger.warn(`Unreadable baseline ${Object.values(key).join('/')}: ${e.message}`);
+      return null;
+    }
+  }
+
+  /** Make `png` the baseline, with the settings later checks use by default. */
+  save(key, png, meta) {
+    this.write(key, IMAGES.baseline, png);
+    this.write(key, 'baseline.json', JSON.stringify({ ...key, ...meta }, null, 2));
+  }
+
+  /** Keep the latest check's screenshot, diff image and result, so it can be reviewed and approved. */
+  saveLast(key, { actual, diff, result }) {
+    this.write(key, IMAGES.actual, actual);
+    if (diff) this.write(key, IMAGES.diff, diff);
+    else fs.rmSync(this.path(key, IMAGES.diff), { force: true });
+    this.write(key, 'last.json', JSON.stringify(result, null, 2));
+  }
+
+  /**
+   * @returns {{result: object, png: Buffer}|null}
+   */
+  last(key) {
+    try {
+      return {
+        result: JSON.parse(fs.readFileSync(this.path(key, 'last.json'), 'utf-8')),
+        png: fs.readFileSync(this.path(key, IMAGES.actual)),
+      };
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Host path of a stored image, or null.
+   * @param {'baseline'|'actual'|'diff'} image
+   */
+  image(key, image) {
+    if (!IMAGES[image]) throw storeError(`Image must be one of ${Object.keys(IMAGES).join(', ')}`, 400);
+    const file = this.path(key, IMAGES[image]);
+    return fs.existsSync(file) ? file : null;
+  }
+
+  /** Metadata of every baseline, optionally for one app. */
+  list(app) {
+    const dirs = (dir) => {
+      try {
+        return fs.readdirSync(dir, { withFileTypes: true }).filter((d) => d.isDirectory() && NAME_RE.test(d.name)).map((d) => d.name);
+      } catch (_) {
+        return [];
+      }
+    };
+    const apps = app ? [this.key({ app, screen: 'x', profile: 'x' }).app] : dirs(this.dir);
+    return apps.flatMap((a) => dirs(path.join(this.dir, a)).flatMap((screen) => dirs(path.join(this.dir, a, screen))
+      .map((profile) => this.get({ app: a, screen, profile })?.meta)
+      .filter(Boolean)));
+  }
+
+  // Temp file + rename, so a crash never leaves half an image behind
+  write(key, file, data) {
+    const target = this.path(key, file);
+    const tmp = `${target}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(tmp, data);
+    fs.renameSync(tmp, target);
+  }
+}
+
+module.exports = { BaselineStore };
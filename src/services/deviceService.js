@@ -5,51 +5,27 @@ const logger = require('../logger');
 const fs = require('fs');
 const path = require('path');
 const { handleSystemDialogs } = require('../utils/dialogHandler');
-
-// One-time wipe flag to ensure next emulator start uses a clean data partition
-const wipeFlagPath = path.join(__dirname, '../../.state');
-const wipeFlagFile = path.join(wipeFlagPath, 'wipe-once.flag');
-
-// Normalize proxy string for emulator flag (-http-proxy) which is more reliable with host:port
-function normalizeProxyForEmulator(p) {
-    if (!p) return null;
-    try {
-        const u = new URL(p);
-        // If credentials or explicit scheme provided, pass through as-is (emulator supports full URL with auth)
-        if (u.username || u.password || /:^https?:$/.test(u.protocol)) {
-            return p;
-        }
-        const host = u.hostname;
-        const port = u.port ? Number(u.port) : (u.protocol === 'https:' ? 443 : 80);
-        return `${host}:${port}`;
-    } catch (_) {
-        // allow host:port format directly
-        return String(p);
-    }
-}
-
-function setWipeOnceFlag() {
-    try {
-        fs.mkdirSync(wipeFlagPath, {recursive: true});
-        fs.writeFileSync(wipeFlagFile, String(Date.now()));
-    } catch (_) { /* ignore */
-    }
-}
-
-function consumeWipeOnceFlag() {
-    try {
-        if (fs.existsSync(wipeFlagFile)) {
-            fs.unlinkSync(wipeFlagFile);
-            return true;
-        }
-    } catch (_) { /* ignore */
-    }
-    return false;
+const { JsonRegistryStore } = require('../devices/registryStore');
+const emulatorManager = require('./emulatorService');
+const portAllocator = require('../devices/portAllocator');
+const avdManager = require('./avdService');
+const adbClient = require('./adbClient');
+const { resolveLaunchOptions } = require('../config/launchConfig');
+
+/**
+ * Parse `adb devices` into a map of serial -> state ('device', 'offline', 'unauthorized', ...).
+ * Resolves to an empty map if adb is unavailable.
+ */
+function listAdbDevices() {
+    return adbClient.devices().catch((e) => {
+        logger.warn(`adb devices failed: ${e.message}`);
+        return new Map();
+    });
 }
 
 const deviceService = {
     async register(payload) {
-        const {platform, proxy, meta = {}, avd} = payload || {};
+        const {platform, proxy, meta = {}, avd, template, profile, launch, snapshot, async: asyncBoot = false} = payload || {};
 
         if (!platform || !['android', 'ios'].includes(platform)) {
             const e = new Error("'platform' must be 'android' or 'ios'");
@@ -58,45 +34,150 @@ const deviceService = {
         }
 
         // If it's an Android device and no deviceId is provided, create an emulator
+        let device;
         if (platform === 'android' && !meta.deviceId) {
+            if (Boolean(avd) === Boolean(template)) {
+                const e = new Error("Exactly one of 'avd' or 'template' is required to start an Android emulator");
+                e.status = 400;
+                throw e;
+            }
+            if (avd && typeof avd !== 'string') {
+                const e = new Error("'avd' must be the name of an existing AVD");
+                e.status = 400;
+                throw e;
+            }
+            // Config file defaults < named profile < request overrides; validated before anything is created
+            const launchOptions = resolveLaunchOptions({
+                profile,
+                launch: snapshot === undefined ? launch : {...launch, bootSnapshot: snapshot},
+            });
             const emulatorName = `emulator-${uuidv4().substring(0, 8)}`;
-            const port = 5555 + (Math.floor(Math.random() * 16) * 2); // Random odd port between 5555-5585
-
-            // Create AVD (Android Virtual Device)
-            // await this.executeCommand('avdmanager', [
-            //   'create', 'avd',
-            //   '-n', emulatorName,
-            //   '-k', 'system-images;android-33;google_apis;x86_64',
-            //   '--force'
-            // ]);
-
-            // Start the emulator
-            const emulatorProcess = await this.startEmulator(avd, port, proxy);
-
-            // Update meta with emulator details
-            meta.emulator = {
-                name: emulatorName,
-                port,
-                pid: emulatorProcess.pid,
-                command: emulatorProcess.spawnargs.join(' ')
+
+            // A template creates a throwaway AVD for this device; it is deleted with the device
+            let avdName = avd;
+            if (template) {
+                const spec = typeof template === 'string' ? {image: template} : template;
+                if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+                    const e = new Error("'template' must be a system image id or { image, device, ramMb, storageMb, resolution, density }");
+                    e.status = 400;
+                    throw e;
+                }
+                await avdManager.createAvd({...spec, name: emulatorName, force: false});
+                avdName = emulatorName;
+            }
+            const discard = () => {
+                if (template) this.deleteEphemeralAvd(avdName);
             };
-            meta.deviceId = `emulator-${port}`;
-        }
 
-        const device = deviceManager.register({platform, proxy, meta});
+            device = deviceManager.register({platform, proxy, meta, status: 'starting'});
 
-        // Best-effort: apply Android proxy if provided
-        if (platform === 'android' && proxy) {
+            // Even console port (adb uses port + 1), reserved until boot finishes or fails
+            let port;
             try {
-                await this.applyProxy(device.id, proxy);
+                port = await portAllocator.allocate(device.id);
             } catch (e) {
-                logger.warn(`applyProxy on register failed: ${e.message}`);
+                deviceManager.remove(device.id);
+                discard();
+                throw e;
             }
+            const emulator = {name: emulatorName, avd: avdName, port};
+            if (template) emulator.ephemeralAvd = true;
+            device = deviceManager.update(device.id, {
+                meta: {...device.meta, deviceId: `emulator-${port}`, emulator},
+            });
+
+            // Start the emulator; it keeps booting in the background (status 'booting' -> 'ready')
+            try {
+                device = await emulatorManager.launch(device.id, {avd: avdName, port, proxy, options: launchOptions});
+            } catch (e) {
+                portAllocator.release(port);
+                deviceManager.remove(device.id);
+                discard();
+                throw e;
+            }
+
+            // Async mode: hand back the 'booting' device now; clients poll GET /devices/:id/ready
+            if (asyncBoot) {
+                if (proxy) {
+                    emulatorManager.waitUntilReady(device.id, emulatorManager.bootTimeoutMs)
+                        .then((r) => r.ready && this.applyProxyBestEffort(device.id, proxy));
+                }
+                return device;
+            }
+
+            const readiness = await emulatorManager.waitUntilReady(device.id, emulatorManager.bootTimeoutMs + 5000);
+            if (!readiness.ready) {
+                const e = new Error(`Emulator failed to boot (device ${device.id}): ${readiness.reason || readiness.status}`);
+                e.status = 503;
+                throw e;
+            }
+            device = deviceManager.get(device.id);
+        } else {
+            device = deviceManager.register({platform, proxy, meta});
+        }
+
+        // Best-effort: apply Android proxy if provided
+        if (platform === 'android' && proxy) {
+            await this.applyProxyBestEffort(device.id, proxy);
         }
 
         return device;
     },
 
+    async applyProxyBestEffort(id, proxy) {
+        try {
+            await this.applyProxy(id, proxy);
+        } catch (e) {
+            logger.warn(`applyProxy on register failed: ${e.message}`);
+        }
+    },
+
+    /**
+     * Long-poll until the device is usable or its boot failed.
+     */
+    async waitUntilReady(id, timeoutMs) {
+        this.getOrThrow(id);
+        const timeout = timeoutMs === undefined ? 30000 : Number(timeoutMs);
+        if (!Number.isFinite(timeout) || timeout < 0 || timeout > 10 * 60 * 1000) {
+            const e = new Error("'timeoutMs' must be a number between 0 and 600000");
+            e.status = 400;
+            throw e;
+        }
+        return emulatorManager.waitUntilReady(id, timeout);
+    },
+
+    /**
+     * Load the persisted registry and keep only devices that still exist:
+     * a serial that `adb devices` reports, or an emulator PID that is still alive.
+     * Restored devices keep their ids, proxies and meta.
+     */
+    async restoreRegistry() {
+        if (String(process.env.DEVICE_REGISTRY_PERSIST || 'true').toLowerCase() === 'false') {
+            return {restored: [], dropped: []};
+        }
+        const store = new JsonRegistryStore();
+        const records = store.load();
+        deviceManager.useStore(store);
+
+        const adbStates = await listAdbDevices();
+        const restored = [];
+        const dropped = [];
+        for (const r of records) {
+            const serial = r?.meta?.deviceId;
+            const adbState = serial ? adbStates.get(serial) : undefined;
+            const alive = adbState !== undefined || emulatorManager.isAlive(r?.meta?.emulator?.pid);
+            if (!alive) {
+                dropped.push(r.id);
+                continue;
+            }
+            restored.push({...r, status: adbState === 'device' ? 'ready' : 'offline'});
+        }
+        deviceManager.restore(restored);
+
+        logger.info(`Device registry restored ${restored.length} device(s), dropped ${dropped.length} stale record(s)`);
+        return {restored: restored.map((d) => d.id), dropped};
+    },
+
     executeCommand(command, args = []) {
         return new Promise((resolve, reject) => {
             const cmd = spawn(command, args, {stdio: 'pipe'});
@@ -176,76 +257,6 @@ const deviceService = {
         return {applied: true, host, port};
     },
 
-    async startEmulator(avdName, port, proxy) {
-        const args = [
-            '-avd', avdName,
-            '-port', String(port),
-
-            // KVM acceleration
-            '-accel', 'on',
-
-            '-no-snapshot', '-no-snapshot-save',        // don’t use snapshots, ensures clean boot
-            '-no-audio',           // disable audio for headless
-            '-no-boot-anim',       // skip boot animation for faster start
-            '-gpu', 'auto', // software GPU for headless
-            '-memory', '4096',     // increase RAM to 8GB for stability
-            '-cores', '4',         // increase CPU cores if server allows
-            '-netfast',            // optimize network emulation
-            '-no-window',          // run headless
-            '-wipe-data',          // optional: ensures fresh emulator state
-            // '-verbose',            // logs more info, useful for debugging
-            '-read-only',           // optional if you plan multiple instances of the same AVD
-            '-camera-back', 'none',
-            '-camera-front', 'none',
-            '-feature',  '-Vulkan'
-        ];
-
-        // Headless mode via env
-        const headless = String(process.env.EMULATOR_HEADLESS || '').toLowerCase() === 'true';
-        if (headless) {
-            args.push('-no-window');
-        }
-
-        // If cleanup requested a fresh device, wipe data on next boot
-        if (consumeWipeOnceFlag()) {
-            args.push('-wipe-data');
-        }
-
-        if (proxy) {
-            const norm = normalizeProxyForEmulator(proxy);
-            args.push('-http-proxy', norm);
-            // Set public DNS to avoid corporate DNS blocking when using proxy
-            args.push('-dns-server', process.env.EMULATOR_DNS || '8.8.8.8,1.1.1.1');
-            logger.info(`[Emulator ${avdName}] using proxy ${norm} with DNS ${process.env.EMULATOR_DNS || '8.8.8.8,1.1.1.1'}`);
-        }
-
-        // Launch emulator directly with logs to console for debugging
-        const emulatorProcess = spawn('emulator', args, {
-            stdio: 'inherit', // pipe to parent's stdio to see logs in console
-            shell: false,
-            env: {
-                ...process.env,                         // keep existing env
-                ANDROID_HOME: '/root/Android/Sdk',      // set correct SDK path
-                ANDROID_SDK_ROOT: '/root/Android/Sdk',
-                PATH: process.env.PATH
-                    + ':/root/Android/Sdk/emulator'
-                    + ':/root/Android/Sdk/platform-tools'
-                    + ':/root/Android/Sdk/tools'
-            }
-        });
-
-        // Log process exit
-        emulatorProcess.on('close', (code) => {
-            logger.info(`Emulator process exited with code ${code}`);
-        });
-
-        emulatorProcess.on('error', (err) => {
-            logger.error(`Failed to start emulator: ${err.message}`);
-        });
-
-        return emulatorProcess;
-    },
-
     list() {
         return deviceManager.list();
     },
@@ -260,6 +271,121 @@ const deviceService = {
         return d;
     },
 
+    /**
+     * Lease a free device from the pool.
+     * @param {{platform?: string, owner?: string, ttlMs?: number, deviceId?: string}} payload
+     */
+    acquire(payload) {
+        const {platform, owner, ttlMs, deviceId} = payload || {};
+        if (platform && !['android', 'ios'].includes(platform)) {
+            const e = new Error("'platform' must be 'android' or 'ios'");
+            e.status = 400;
+            throw e;
+        }
+        if (ttlMs !== undefined && (typeof ttlMs !== 'number' || ttlMs <= 0)) {
+            const e = new Error("'ttlMs' must be a positive number");
+            e.status = 400;
+            throw e;
+        }
+        const device = deviceManager.acquire({platform, owner, ttlMs, deviceId});
+        if (!device) {
+            const e = new Error(deviceId ? 'Device is not available' : 'No available devices');
+            e.status = 409;
+            throw e;
+        }
+        logger.info(`Device ${device.id} leased to ${device.lease.owner} until ${device.lease.expiresAt}`);
+        return device;
+    },
+
+    renewLease(id, payload) {
+        const {leaseId, ttlMs} = payload || {};
+        if (ttlMs !== undefined && (typeof ttlMs !== 'number' || ttlMs <= 0)) {
+            const e = new Error("'ttlMs' must be a positive number");
+            e.status = 400;
+            throw e;
+        }
+        return deviceManager.renew(id, {leaseId, ttlMs});
+    },
+
+    /**
+     * Refuse a request for a device leased to someone else. Unknown ids pass, so the
+     * route itself answers 404.
+     * @param {{leaseId?: string}} holder lease id sent with the request
+     */
+    checkLease(id, holder) {
+        if (deviceManager.get(id)) deviceManager.ensure(id, holder || {});
+    },
+
+    release(id, payload) {
+        // No `force` here: over HTTP only the lease holder may release
+        const {leaseId} = payload || {};
+        const device = deviceManager.release(id, {leaseId});
+        logger.info(`Device ${id} released back to the pool`);
+        return device;
+    },
+
+    /**
+     * Stop a single emulator without touching the others (device stays registered, status 'offline').
+     */
+    async stop(id) {
+        this.getOrThrow(id);
+        return emulatorManager.stop(id);
+    },
+
+    async restart(id) {
+        this.getOrThrow(id);
+        return emulatorManager.restart(id);
+    },
+
+    /**
+     * Stop the device's emulator (if any) and drop it from the registry.
+     */
+    async remove(id) {
+        const device = this.getOrThrow(id);
+        const result = await emulatorManager.remove(id);
+        if (device.meta?.emulator?.ephemeralAvd) {
+            await this.deleteEphemeralAvd(device.meta.emulator.avd);
+        }
+        return result;
+    },
+
+    // Best-effort: an AVD created from a register template should not outlive its device
+    async deleteEphemeralAvd(name) {
+        try {
+            await avdManager.deleteAvd(name);
+        } catch (e) {
+            logger.warn(`Failed to delete template AVD ${name}: ${e.message}`);
+        }
+    },
+
+    async listSnapshots(id) {
+        this.getOrThrow(id);
+        return emulatorManager.listSnapshots(id);
+    },
+
+    async saveSnapshot(id, name) {
+        const device = this.getOrThrow(id);
+        // The shipped defaults boot `-read-only -no-snapshot`; the emulator refuses to save there
+        const launch = device.meta?.emulator?.launch;
+        if (launch && (launch.readOnly || (launch.snapshot === 'none' && !launch.bootSnapshot))) {
+            const e = new Error('This emulator was started without snapshot support (read-only or -no-snapshot). '
+                + 'Register the device with "launch": { "readOnly": false, "wipeData": false, "snapshot": "cold" } to save snapshots');
+            e.status = 409;
+            throw e;
+        }
+        return emulatorManager.saveSnapshot(id, name);
+    },
+
+    async loadSnapshot(id, name) {
+        this.getOrThrow(id);
+        return emulatorManager.loadSnapshot(id, name);
+    },
+
+    async deleteSnapshot(id, name) {
+        this.getOrThrow(id);
+        return emulatorManager.deleteSnapshot(id, name);
+    },
+
     updateProxy(id, proxy) {
         if (!proxy) {
             const e = new Error("'proxy' is required");
@@ -287,7 +413,7 @@ const deviceService = {
      * Execute an adb command targeted at the correct emulator for a device UUID.
      * @param {string} id Device UUID stored by deviceManager
      * @param {string|string[]} command e.g. "shell pm grant com.pkg android.permission.ACCESS_FINE_LOCATION"
-     * @returns {Promise<{stdout: string, stderr: string}>}
+     * @returns {Promise<{stdout: string}>} for shell commands stderr is interleaved with stdout
      */
     async executeAdb(id, command) {
         const device = this.getOrThrow(id);
@@ -311,35 +437,16 @@ const deviceService = {
             throw e;
         }
         await handleSystemDialogs(serial)
-        const args = ['-s', serial, ...parts];
-        logger.debug(`Executing: adb ${args.join(' ')}`);
-
-        return new Promise((resolve, reject) => {
-            const proc = spawn('adb', args, {stdio: 'pipe'});
-            let stdout = '';
-            let stderr = '';
 
-            proc.stdout.on('data', (d) => {
-                stdout += d.toString();
-            });
-            proc.stderr.on('data', (d) => {
-                stderr += d.toString();
-            });
-            proc.on('error', (err) => {
-                reject(err);
-            });
-            proc.on('close', (code) => {
-                if (code === 0) {
-                    resolve({stdout: stdout.trim(), stderr: stderr.trim()});
-                } else {
-                    const err = new Error(`ADB command failed (${code}): ${stderr.trim() || 'Unknown error'}`);
-                    err.status = 500;
-                    err.stdout = stdout;
-                    err.stderr = stderr;
-                    reject(err);
-                }
-            });
-        });
+        // A string runs like the adb command line (the device shell parses what follows `shell`);
+        // an array is exact argv
+        let stdout;
+        if (!Array.isArray(command) && parts[0] === 'shell' && parts.length > 1) {
+            stdout = await adbClient.shell(serial, String(command).trim().slice('shell'.length).trim());
+        } else {
+            stdout = await adbClient.exec(serial, parts.map(String));
+        }
+        return {stdout: stdout.trim()};
     },
     /**
      * Stop all emulators and clear device registry.
@@ -376,6 +483,7 @@ const deviceService = {
             }
 
             // Try graceful shutdown first
+            if (d.meta?.emulator?.port) emulatorManager.setState(d.id, 'stopping');
             if (serial) {
                 try {
                     await this.executeAdb(d.id, ['emu', 'kill']);
@@ -411,8 +519,9 @@ const deviceService = {
      * 1) Stop all known emulators from the registry (graceful, then force by PID)
      * 2) Best-effort kill any leftover emulator/qemu processes
      * 3) Kill adb server to release ports
+     * @param {{includeSnapshots?: boolean}} [options] also delete the AVDs' saved snapshots
      */
-    async cleanupAll() {
+    async cleanupAll({includeSnapshots = false} = {}) {
         const summary = {
             stopResults: [],
             adbEnumeratedKills: [],
@@ -446,30 +555,16 @@ const deviceService = {
         }
 
         // Enumerate any running emulators via adb and request graceful kill
-        const devicesList = await (async () => {
-            const res = await trySpawn('adb', ['devices']);
-            const out = (res.stderr ? '' : '') + '';
-            // We need stdout; re-run capturing stdout
-            return new Promise((resolve) => {
-                const proc = spawn('adb', ['devices'], {stdio: ['ignore', 'pipe', 'pipe']});
-                let stdout = '';
-                proc.stdout.on('data', (d) => {
-                    stdout += d.toString();
-                });
-                proc.on('close', () => resolve(stdout));
-                proc.on('error', () => resolve(''));
-            });
-        })();
-
-        const emulatorSerials = String(devicesList)
-            .split(/\r?\n/)
-            .map((l) => l.trim())
-            .filter((l) => /^emulator-\d+\s+device$/.test(l))
-            .map((l) => l.split(/\s+/)[0]);
+        const adbStates = await listAdbDevices();
+        const emulatorSerials = Array.from(adbStates.entries())
+            .filter(([serial, state]) => /^emulator-\d+$/.test(serial) && state === 'device')
+            .map(([serial]) => serial);
 
         for (const serial of emulatorSerials) {
             // eslint-disable-next-line no-await-in-loop
-            const res = await trySpawn('adb', ['-s', serial, 'emu', 'kill']);
+            const res = await adbClient.emu(serial, ['kill'])
+                .then(() => ({command: `adb -s ${serial} emu kill`, code: 0, stderr: ''}))
+                .catch((e) => ({command: e.command, code: e.exitCode ?? -1, stderr: e.stderr || e.message}));
             summary.adbEnumeratedKills.push({serial, ...res});
         }
 
@@ -489,12 +584,12 @@ const deviceService = {
         // summary.adbKill = await trySpawn('adb', ['kill-server']);
 
         // Ensure next emulator start is a fresh device (one-time wipe)
-        setWipeOnceFlag();
+        emulatorManager.requestWipeOnNextStart();
         summary.wipeNextStart = true;
 
-        // Deep clean: remove caches/locks/logs/snapshots and temp emulator files
+        // Deep clean: remove caches/locks/logs (and snapshots only when asked) and temp emulator files
         try {
-            const dc = this.deepCleanEmulatorCaches();
+            const dc = this.deepCleanEmulatorCaches({includeSnapshots});
             summary.deepClean = dc;
         } catch (e) {
             summary.deepClean.errors = [String(e?.message || e)];
@@ -517,10 +612,11 @@ const deviceService = {
     },
 
     /**
-     * Remove emulator caches/locks/logs/snapshots under ~/.android/avd and temp files in /tmp.
+     * Remove emulator caches/locks/logs under ~/.android/avd and temp files in /tmp.
      * Does not delete AVD definitions (.ini or system images). Best-effort and safe.
+     * Saved snapshots (e.g. a logged-in state devices fork from) are kept unless `includeSnapshots`.
      */
-    deepCleanEmulatorCaches() {
+    deepCleanEmulatorCaches({includeSnapshots = false} = {}) {
         const res = { avdPaths: [], tmpPaths: [], errors: [] };
         try {
             const home = process.env.HOME || process.env.USERPROFILE || '';
@@ -538,7 +634,7 @@ const deviceService = {
                             'hardware-qemu.ini.lock',
                             'config.ini.lock',
                         ];
-                        const targetDirs = ['snapshots', 'logs', 'tmp'];
+                        const targetDirs = includeSnapshots ? ['snapshots', 'logs', 'tmp'] : ['logs', 'tmp'];
                         for (const f of targets) {
                             const p = path.join(avdDir, f);
                             try { if (fs.existsSync(p)) { fs.rmSync(p, { force: true }); res.avdPaths.push(p); } } catch (e) { res.errors.push(`${p}: ${e.message}`); }
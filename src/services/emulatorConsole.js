@@ -0,0 +1,213 @@
+const net = require('net');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../logger');
+const adbClient = require('./adbClient');
+
+const CONSOLE_HOST = '127.0.0.1';
+const AUTH_TOKEN_FILE = path.join(os.homedir(), '.emulator_console_auth_token');
+const CONNECT_TIMEOUT_MS = 3000;
+const COMMAND_TIMEOUT_MS = Number(process.env.EMULATOR_CONSOLE_TIMEOUT_MS || 15000);
+// Every console reply ends with a line of its own: "OK" or "KO: <reason>"
+const REPLY_END_RE = /(^|\r?\n)(OK|KO(?::[^\r\n]*)?)\r?\n/;
+
+function consoleError(message, status, extra = {}) {
+  return Object.assign(new Error(message), { status, ...extra });
+}
+
+// Connection or authentication problems; callers fall back to `adb emu`
+function unavailable(message) {
+  return consoleError(message, 503, { unavailable: true });
+}
+
+/**
+ * Split an `adb emu` / console reply into its output and the KO reason, if any.
+ * @returns {{output: string, ko: string|null}}
+ */
+function parseReply(text) {
+  const lines = String(text).replace(/\r/g, '').split('\n');
+  const koLine = lines.find((l) => /^KO\b/.test(l));
+  const output = lines.filter((l) => l !== 'OK' && !/^KO\b/.test(l)).join('\n').trim();
+  return { output, ko: koLine ? koLine.replace(/^KO:?\s*/, '') || 'unknown error' : null };
+}
+
+/**
+ * One authenticated telnet session to an emulator console. Commands are queued and sent one at a
+ * time; a dropped connection is re-established by the next command.
+ */
+class ConsoleSession {
+  constructor(port) {
+    this.port = port;
+    this.socket = null;
+    this.connecting = null;
+    this.buffer = '';
+    this.waiter = null;
+    this.queue = Promise.resolve();
+  }
+
+  // Resolve with the text of the next complete reply (without its OK line); KO rejects
+  readReply(timeoutMs) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.waiter = null;
+        this.destroy();
+        reject(consoleError(`Emulator console ${this.port} did not answer within ${timeoutMs} ms`, 504));
+      }, timeoutMs);
+      this.waiter = {
+        resolve: (text) => { clearTimeout(timer); resolve(text); },
+        reject: (e) => { clearTimeout(timer); reject(e); },
+      };
+      this.drain();
+    });
+  }
+
+  drain() {
+    if (!this.waiter) return;
+    const m = this.buffer.match(REPLY_END_RE);
+    if (!m) return;
+    const end = m.index + m[0].length;
+    const reply = this.buffer.slice(0, end);
+    this.buffer = this.buffer.slice(end);
+    const { output, ko } = parseReply(reply);
+    const { resolve, reject } = this.waiter;
+    this.waiter = null;
+    if (ko) reject(consoleError(ko, 500, { ko }));
+    else resolve(output);
+  }
+
+  connect() {
+    if (this.socket) return Promise.resolve();
+    if (this.connecting) return this.connecting;
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: CONSOLE_HOST, port: this.port });
+      const fail = (e) => {
+        socket.destroy();
+        reject(unavailable(`Emulator console ${this.port} unavailable: ${e.message}`));
+      };
+      socket.setTimeout(CONNECT_TIMEOUT_MS, () => fail(new Error('connect timed out')));
+      socket.once('error', fail);
+      socket.once('connect', () => {
+        socket.setTimeout(0);
+        socket.removeListener('error', fail);
+        socket.setEncoding('utf8');
+        socket.on('data', (d) => {
+          this.buffer += d;
+          this.drain();
+        });
+        socket.on('error', (e) => logger.debug(`Emulator console ${this.port}: ${e.message}`));
+        socket.on('close', () => {
+          // A socket we destroyed ourselves may close after its replacement connected
+          if (this.socket !== socket) return;
+          this.socket = null;
+          if (this.waiter) this.waiter.reject(consoleError(`Emulator console ${this.port} closed the connection`, 502));
+          this.waiter = null;
+        });
+        this.socket = socket;
+        this.buffer = '';
+        this.authenticate().then(resolve, (e) => {
+          this.destroy();
+          reject(e.unavailable ? e : unavailable(`Emulator console ${this.port} authentication failed: ${e.message}`));
+        });
+      });
+    }).finally(() => {
+      this.connecting = null;
+    });
+    return this.connecting;
+  }
+
+  async authenticate() {
+    const banner = await this.readReply(CONNECT_TIMEOUT_MS);
+    if (!/Authentication required/i.test(banner)) return;
+    let token;
+    try {
+      token = fs.readFileSync(AUTH_TOKEN_FILE, 'utf-8').trim();
+    } catch (e) {
+      throw unavailable(`Emulator console ${this.port} needs ${AUTH_TOKEN_FILE}: ${e.message}`);
+    }
+    this.socket.write(`auth ${token}\n`);
+    await this.readReply(CONNECT_TIMEOUT_MS);
+    logger.debug(`Emulator console ${this.port} authenticated`);
+  }
+
+  /**
+   * Queue a command line and resolve with its output.
+   */
+  command(line, timeoutMs = COMMAND_TIMEOUT_MS) {
+    const run = async () => {
+      await this.connect();
+      const started = Date.now();
+      this.socket.write(`${line}\n`);
+      try {
+        return await this.readReply(timeoutMs);
+      } finally {
+        logger.debug(`console ${this.port}: ${line} (${Date.now() - started} ms)`);
+      }
+    };
+    const result = this.queue.then(run, run);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  destroy() {
+    if (this.socket) {
+      this.socket.destroy();
+      this.socket = null;
+    }
+  }
+}
+
+/**
+ * Telnet clients for the consoles of running emulators (one kept-open session per console port),
+ * with `adb emu` as the fallback when a console cannot be reached.
+ */
+class EmulatorConsole {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  session(port) {
+    if (!this.sessions.has(port)) this.sessions.set(port, new ConsoleSession(port));
+    return this.sessions.get(port);
+  }
+
+  /**
+   * Run a console command for a device: `args` are the words of the command line
+   * (e.g. ['geo', 'fix', lon, lat]). KO replies reject with `err.ko` set to the reason.
+   * @param {object} device registry entry; the console port comes from meta.emulator.port or the serial
+   * @param {Array<string|number>} args
+   * @returns {Promise<string>} output without the trailing OK
+   */
+  async run(device, args) {
+    const serial = device?.meta?.deviceId;
+    const m = String(serial || '').match(/^emulator-(\d+)$/);
+    const port = device?.meta?.emulator?.port || (m ? Number(m[1]) : null);
+    const words = args.map(String);
+    if (words.some((w) => /[\r\n]/.test(w))) throw consoleError('Console arguments cannot contain line breaks', 400);
+
+    if (port) {
+      try {
+        return await this.session(port).command(words.join(' '));
+      } catch (e) {
+        if (!e.unavailable) throw e;
+        logger.warn(`${e.message}; falling back to adb emu`);
+      }
+    }
+    const { output, ko } = parseReply(await adbClient.emu(serial, words));
+    if (ko) throw consoleError(ko, 500, { ko });
+    return output;
+  }
+
+  close(port) {
+    const session = this.sessions.get(port);
+    if (!session) return;
+    session.destroy();
+    this.sessions.delete(port);
+  }
+
+  closeAll() {
+    for (const port of Array.from(this.sessions.keys())) this.close(port);
+  }
+}
+
+module.exports = new EmulatorConsole();
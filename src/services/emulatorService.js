@@ -1,209 +1,549 @@
 const { spawn } = require('child_process');
-const { v4: uuidv4 } = require('uuid');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
 const deviceManager = require('../devices/deviceManager');
+const portAllocator = require('../devices/portAllocator');
 const logger = require('../logger');
+const { resolveLaunchOptions } = require('../config/launchConfig');
+const adbClient = require('./adbClient');
+const emulatorConsole = require('./emulatorConsole');
 
-class EmulatorManager {
+// Lifecycle of an emulator-backed device (device.status):
+//   starting -> booting -> ready -> stopping -> offline
+// Any state can fall into `crashed` when the emulator process exits unexpectedly
+// or never finishes booting.
+const STATES = ['starting', 'booting', 'ready', 'stopping', 'offline', 'crashed'];
+
+const BOOT_TIMEOUT_MS = Number(process.env.EMULATOR_BOOT_TIMEOUT_MS) || 180000;
+const STOP_TIMEOUT_MS = 20000;
+const DEFAULT_SDK_ROOT = process.env.ANDROID_SDK_ROOT || process.env.ANDROID_HOME || '/root/Android/Sdk';
+
+// One-time wipe flag to ensure next emulator start uses a clean data partition
+const wipeFlagPath = path.join(__dirname, '../../.state');
+const wipeFlagFile = path.join(wipeFlagPath, 'wipe-once.flag');
+
+function lifecycleError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Normalize proxy string for emulator flag (-http-proxy) which is more reliable with host:port
+function normalizeProxyForEmulator(p) {
+  if (!p) return null;
+  try {
+    const u = new URL(p);
+    // If credentials or explicit scheme provided, pass through as-is (emulator supports full URL with auth)
+    if (u.username || u.password || /:^https?:$/.test(u.protocol)) {
+      return p;
+    }
+    const host = u.hostname;
+    const port = u.port ? Number(u.port) : (u.protocol === 'https:' ? 443 : 80);
+    return `${host}:${port}`;
+  } catch (_) {
+    // allow host:port format directly
+    return String(p);
+  }
+}
+
+function consumeWipeOnceFlag() {
+  try {
+    if (fs.existsSync(wipeFlagFile)) {
+      fs.unlinkSync(wipeFlagFile);
+      return true;
+    }
+  } catch (_) { /* ignore */ }
+  return false;
+}
+
+function isProcessAlive(pid) {
+  if (typeof pid !== 'number') return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    // EPERM: the process exists but belongs to someone else
+    return e.code === 'EPERM';
+  }
+}
+
+const SNAPSHOT_NAME_RE = /^[A-Za-z0-9._-]{1,64}$/;
+
+function checkSnapshotName(name) {
+  if (typeof name !== 'string' || !SNAPSHOT_NAME_RE.test(name)) {
+    throw lifecycleError("Snapshot 'name' must be 1-64 characters of letters, digits, '.', '_' or '-'", 400);
+  }
+}
+
+/**
+ * Parse the console's `avd snapshot list`:
+ *   ID   TAG            VM SIZE   DATE                 VM CLOCK
+ *   --   default_boot   133M      2024-01-01 10:00:00  00:01:00.000
+ */
+function parseSnapshotList(output) {
+  const snapshots = [];
+  for (const line of output.split(/\r?\n/)) {
+    const m = line.trim().match(/^(\S+)\s+(\S+)\s+(\S+)\s+(\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2})\s+(\S+)$/);
+    if (m) snapshots.push({ id: m[1], name: m[2], size: m[3], createdAt: m[4], vmClock: m[5] });
+  }
+  return snapshots;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class EmulatorManager extends EventEmitter {
   constructor() {
+    super();
+    // deviceId -> ChildProcess for emulators launched by this API process
     this.processes = new Map();
+    this.bootTimeoutMs = BOOT_TIMEOUT_MS;
+    // Every long-poll on /ready adds a listener; don't warn about many concurrent waiters
+    this.setMaxListeners(0);
   }
 
-  async startEmulator({
-    avd,
-    port = 5554,
-    proxy,
-    noSnapshot = true,
-    noAudio = true,
-    noBootAnim = true,
-    gpu = 'swiftshader_indirect',
-    memory = 4096,
-    cores = 4,
-  }) {
+  /**
+   * Ensure the next emulator start passes -wipe-data (set by /cleanup).
+   */
+  requestWipeOnNextStart() {
     try {
-      const serial = `emulator-${port}`;
-      logger.info(`Starting emulator ${avd} on port ${port}...`);
-
-      // Build command arguments
-      const args = [
-        '-avd', avd,
-        '-port', String(port),
-        ...(noSnapshot ? ['-no-snapshot'] : []),
-        ...(noAudio ? ['-no-audio'] : []),
-        ...(noBootAnim ? ['-no-boot-anim'] : []),
-        '-gpu', gpu,
-        '-memory', String(memory),
-        '-cores', String(cores),
-        '-netfast'
-      ];
-
-      if (proxy) {
-        args.push('-http-proxy', proxy);
-        logger.info(`Using proxy: ${proxy}`);
-      }
+      fs.mkdirSync(wipeFlagPath, { recursive: true });
+      fs.writeFileSync(wipeFlagFile, String(Date.now()));
+    } catch (_) { /* ignore */ }
+  }
 
-      // Log the full command for debugging
-      const command = `emulator ${args.join(' ')} &`;
-      logger.debug(`Executing: ${command}`);
+  isAlive(pid) {
+    return isProcessAlive(pid);
+  }
 
-      // Start emulator process
-      const emulatorProcess = spawn('emulator', args, {
-        detached: true,
-        stdio: ['ignore', 'pipe', 'pipe']
-      });
+  /**
+   * Emulator argv for one launch; `options` come from resolveLaunchOptions (config file, profile, request).
+   */
+  buildArgs({ avd, port, proxy, options = resolveLaunchOptions() }) {
+    const args = [
+      '-avd', avd,
+      '-port', String(port),
+      '-accel', options.accel,
+      '-gpu', options.gpu,
+      '-memory', String(options.memoryMb),
+      '-cores', String(options.cores),
+    ];
 
-      // Log emulator output
-      emulatorProcess.stdout.on('data', (data) => {
-        logger.debug(`[Emulator ${avd}]: ${data.toString().trim()}`);
-      });
+    if (options.bootSnapshot) {
+      // Fork from a prepared snapshot; never write back into it
+      args.push('-snapshot', options.bootSnapshot, '-no-snapshot-save');
+    } else if (options.snapshot === 'none') {
+      args.push('-no-snapshot', '-no-snapshot-save'); // clean boot, nothing saved on exit
+    } else if (options.snapshot === 'cold') {
+      args.push('-no-snapshot-load');
+    }
+    if (options.headless) args.push('-no-window');
 
-      emulatorProcess.stderr.on('data', (data) => {
-        logger.error(`[Emulator ${avd} Error]: ${data.toString().trim()}`);
-      });
+    // If cleanup requested a fresh device, wipe data on next boot (left pending for snapshot boots,
+    // since wiping would discard the snapshot)
+    if (!options.bootSnapshot && (consumeWipeOnceFlag() || options.wipeData)) args.push('-wipe-data');
+    // Lets several instances of the same AVD run side by side
+    if (options.readOnly) args.push('-read-only');
+
+    if (options.resolution) args.push('-skin', options.resolution);
+    if (options.density) args.push('-prop', `qemu.sf.lcd_density=${options.density}`);
+    args.push(...(options.extraArgs || []));
+
+    if (proxy) {
+      const norm = normalizeProxyForEmulator(proxy);
+      args.push('-http-proxy', norm);
+      // Set public DNS to avoid corporate DNS blocking when using proxy
+      args.push('-dns-server', process.env.EMULATOR_DNS || '8.8.8.8,1.1.1.1');
+      logger.info(`[Emulator ${avd}] using proxy ${norm} with DNS ${process.env.EMULATOR_DNS || '8.8.8.8,1.1.1.1'}`);
+    }
+    return args;
+  }
+
+  spawnEnv(options = resolveLaunchOptions()) {
+    const sdkRoot = options.sdkRoot || DEFAULT_SDK_ROOT;
+    return {
+      ...process.env,
+      ANDROID_HOME: sdkRoot,
+      ANDROID_SDK_ROOT: sdkRoot,
+      PATH: [
+        process.env.PATH,
+        path.join(sdkRoot, 'emulator'),
+        path.join(sdkRoot, 'platform-tools'),
+        path.join(sdkRoot, 'tools'),
+      ].join(':'),
+    };
+  }
+
+  /**
+   * Move a device to a lifecycle state, merging `emulatorPatch` into meta.emulator.
+   */
+  setState(deviceId, status, emulatorPatch) {
+    const d = deviceManager.get(deviceId);
+    if (!d) return null;
+    if (!STATES.includes(status)) throw new Error(`Unknown emulator state '${status}'`);
+    const patch = { status };
+    if (emulatorPatch) {
+      patch.meta = { ...d.meta, emulator: { ...(d.meta.emulator || {}), ...emulatorPatch } };
+    }
+    const changed = d.status !== status;
+    if (changed) logger.info(`Device ${deviceId} ${d.status} -> ${status}`);
+    // The console goes away with the emulator; drop the kept-open session
+    if (['stopping', 'offline', 'crashed'].includes(status) && d.meta?.emulator?.port) {
+      emulatorConsole.close(d.meta.emulator.port);
+    }
+    const updated = deviceManager.update(deviceId, patch);
+    if (changed) this.emit('state', deviceId, status);
+    return updated;
+  }
 
-      emulatorProcess.on('close', (code) => {
-        const msg = `Emulator ${avd} (${serial}) process exited with code ${code}`;
-        if (code === 0) {
-          logger.info(msg);
-        } else {
-          logger.error(msg);
-        }
-        this.processes.delete(serial);
+  /**
+   * Spawn the emulator for an already registered device and watch it boot in the background.
+   * Resolves once the process is running (state `booting`).
+   */
+  async launch(deviceId, { avd, port, proxy, options = resolveLaunchOptions() }) {
+    const serial = `emulator-${port}`;
+    this.setState(deviceId, 'starting', { avd, port, launch: options, error: null, exitCode: null, signal: null });
+
+    const args = this.buildArgs({ avd, port, proxy, options });
+    logger.debug(`Executing: emulator ${args.join(' ')}`);
+
+    // Launch emulator directly with logs to console for debugging
+    const proc = spawn('emulator', args, {
+      stdio: 'inherit', // pipe to parent's stdio to see logs in console
+      shell: false,
+      env: this.spawnEnv(options),
+    });
+
+    try {
+      await new Promise((resolve, reject) => {
+        proc.once('spawn', resolve);
+        proc.once('error', reject);
       });
+    } catch (err) {
+      logger.error(`Failed to start emulator: ${err.message}`);
+      portAllocator.release(port);
+      this.setState(deviceId, 'crashed', { error: err.message });
+      throw lifecycleError(`Failed to start emulator: ${err.message}`, 500);
+    }
+
+    this.processes.set(deviceId, proc);
+    proc.on('exit', (code, signal) => this.onExit(deviceId, proc, code, signal));
 
-      // Store process reference
-      this.processes.set(serial, emulatorProcess);
+    this.setState(deviceId, 'booting', {
+      pid: proc.pid,
+      command: proc.spawnargs.join(' '),
+      startedAt: new Date().toISOString(),
+    });
+
+    this.watchBoot(deviceId, serial);
+    return deviceManager.get(deviceId);
+  }
 
-      // Wait for device to be ready
-      await this.waitForBoot(serial);
-      logger.info(`Emulator ${avd} (${serial}) is ready`);
+  onExit(deviceId, proc, code, signal) {
+    // A restart may already have replaced this process
+    if (this.processes.get(deviceId) !== proc) return;
+    this.processes.delete(deviceId);
 
-      // Configure device
+    const d = deviceManager.get(deviceId);
+    if (!d) return;
+    portAllocator.release(d.meta?.emulator?.port);
+    const expected = d.status === 'stopping' || d.status === 'offline';
+    const msg = `Emulator for device ${deviceId} exited with code ${code}${signal ? ` (${signal})` : ''}`;
+    if (expected) logger.info(msg); else logger.error(msg);
+    this.setState(deviceId, expected ? 'offline' : 'crashed', {
+      pid: null,
+      exitCode: code,
+      signal: signal || null,
+      error: expected ? null : msg,
+    });
+  }
+
+  async watchBoot(deviceId, serial, timeout = BOOT_TIMEOUT_MS) {
+    const stillBooting = () => deviceManager.get(deviceId)?.status === 'booting';
+    const onProgress = (boot) => this.setState(deviceId, 'booting', { boot });
+    try {
+      await this.waitForBoot(serial, timeout, stillBooting, onProgress);
+      if (!stillBooting()) return;
       await this.configureDevice(serial);
+      if (stillBooting()) this.setState(deviceId, 'ready', { bootedAt: new Date().toISOString() });
+    } catch (err) {
+      if (!stillBooting()) return;
+      logger.error(`Device ${deviceId} failed to boot: ${err.message}`);
+      this.setState(deviceId, 'crashed', { error: err.message });
+      // A hung emulator still listens on its ports; kill it before they are handed out again.
+      // Forgotten first so onExit does not replace the boot error with the kill.
+      const pid = deviceManager.get(deviceId)?.meta?.emulator?.pid;
+      this.processes.delete(deviceId);
+      await this.kill(deviceId, serial, pid);
+      this.setState(deviceId, 'crashed', { pid: null });
+    } finally {
+      // Booted (the device record now holds the port) or failed: drop the reservation
+      portAllocator.release(deviceManager.get(deviceId)?.meta?.emulator?.port);
+    }
+  }
 
-      // Register device
-      const device = deviceManager.register({
-        platform: 'android',
-        proxy,
-        meta: {
-          serial,
-          avd,
-          port,
-          pid: emulatorProcess.pid
-        }
-      });
+  /**
+   * One round of readiness checks: boot completed, package manager answering,
+   * and the home launcher resolved and running. Later checks only run once earlier ones pass.
+   */
+  async checkReadiness(serial) {
+    const checks = { bootCompleted: false, packageManager: false, launcher: false };
+    const run = (args) => this.executeAdbCommand(serial, args).catch(() => '');
 
-      return { success: true, device };
-    } catch (error) {
-      logger.error(`Failed to start emulator: ${error.message}`);
-      throw error;
+    checks.bootCompleted = (await run(['shell', 'getprop', 'sys.boot_completed'])).trim() === '1';
+    if (!checks.bootCompleted) return checks;
+
+    checks.packageManager = (await run(['shell', 'pm', 'path', 'android'])).includes('package:');
+    if (!checks.packageManager) return checks;
+
+    const resolved = (await run([
+      'shell', 'cmd', 'package', 'resolve-activity', '--brief',
+      '-a', 'android.intent.action.MAIN', '-c', 'android.intent.category.HOME',
+    ])).trim().split(/\r?\n/).pop() || '';
+    const launcherPackage = resolved.includes('/') ? resolved.split('/')[0] : null;
+    if (launcherPackage) {
+      checks.launcher = (await run(['shell', 'pidof', launcherPackage])).trim().length > 0;
     }
+    return checks;
   }
 
-  async waitForBoot(serial, timeout = 120000) {
+  /**
+   * Poll readiness checks until all pass. `onProgress` receives the checks whenever they change.
+   */
+  async waitForBoot(serial, timeout = BOOT_TIMEOUT_MS, isActive = () => true, onProgress = () => {}) {
     const start = Date.now();
     logger.debug(`Waiting for ${serial} to boot...`);
+    let last = null;
 
     while (Date.now() - start < timeout) {
-      try {
-        const booted = await this.executeAdbCommand(serial, 'getprop sys.boot_completed');
-        if (booted.trim() === '1') {
-          return true;
-        }
-      } catch (e) {
-        // Ignore errors while waiting for boot
+      if (!isActive()) return false;
+      const checks = await this.checkReadiness(serial);
+      if (JSON.stringify(checks) !== JSON.stringify(last)) {
+        last = checks;
+        onProgress({ ...checks, checkedAt: new Date().toISOString() });
+      }
+      if (checks.bootCompleted && checks.packageManager && checks.launcher) {
+        return true;
       }
-      await new Promise(resolve => setTimeout(resolve, 2000));
+      await sleep(2000);
     }
-    throw new Error(`Timeout waiting for ${serial} to boot`);
+    const pending = Object.entries(last || {}).filter(([, ok]) => !ok).map(([name]) => name);
+    throw new Error(`Timeout waiting for ${serial} to boot (pending: ${pending.join(', ') || 'bootCompleted'})`);
+  }
+
+  /**
+   * Resolve once the device is usable, or report why it is not.
+   * @returns {Promise<{ready: boolean, status: string, timedOut?: boolean, reason?: string, boot?: object}>}
+   */
+  waitUntilReady(deviceId, timeoutMs) {
+    const describe = (extra = {}) => {
+      const d = deviceManager.get(deviceId);
+      if (!d) return { ready: false, status: 'removed', reason: 'Device was removed', ...extra };
+      const result = { ready: d.status === 'ready', status: d.status, boot: d.meta?.emulator?.boot };
+      if (['crashed', 'offline'].includes(d.status)) {
+        result.reason = d.meta?.emulator?.error || `Device is ${d.status}`;
+      }
+      return { ...result, ...extra };
+    };
+    const settled = (status) => !['starting', 'booting'].includes(status);
+
+    const d = deviceManager.get(deviceId);
+    if (!d) return Promise.reject(lifecycleError('Device not found', 404));
+    if (settled(d.status)) return Promise.resolve(describe());
+
+    return new Promise((resolve) => {
+      const onState = (id, status) => {
+        if (id !== deviceId || !settled(status)) return;
+        cleanup();
+        resolve(describe());
+      };
+      const timer = setTimeout(() => {
+        cleanup();
+        resolve(describe({ timedOut: true }));
+      }, timeoutMs);
+      const cleanup = () => {
+        clearTimeout(timer);
+        this.off('state', onState);
+      };
+      this.on('state', onState);
+    });
   }
 
+  // Best-effort: location services on and Maps allowed to read the (simulated) GPS
   async configureDevice(serial) {
     try {
       logger.debug(`Configuring device ${serial}...`);
-      
-      // Enable location services
-      await this.executeAdbCommand(serial, 'settings put secure location_mode 3');
-      
-      // Grant necessary permissions to Maps
-      await this.executeAdbCommand(
-        serial,
-        'pm grant com.google.android.apps.maps android.permission.ACCESS_FINE_LOCATION'
-      );
-      
+      await this.executeAdbCommand(serial, ['shell', 'settings', 'put', 'secure', 'location_mode', '3']);
+      await this.executeAdbCommand(serial, [
+        'shell', 'pm', 'grant', 'com.google.android.apps.maps', 'android.permission.ACCESS_FINE_LOCATION',
+      ]);
       logger.debug(`Device ${serial} configured successfully`);
     } catch (error) {
-      logger.error(`Failed to configure device ${serial}: ${error.message}`);
-      throw error;
+      logger.warn(`Failed to configure device ${serial}: ${error.message}`);
     }
   }
 
-  async executeAdbCommand(serial, command) {
-    return new Promise((resolve, reject) => {
-      const adbCommand = `adb -s ${serial} ${command}`;
-      logger.debug(`Executing: ${adbCommand}`);
-      
-      const process = spawn('sh', ['-c', adbCommand]);
-      let output = '';
-      let error = '';
-
-      process.stdout.on('data', (data) => {
-        output += data.toString();
-      });
+  executeAdbCommand(serial, args) {
+    return adbClient.exec(serial, args);
+  }
 
-      process.stderr.on('data', (data) => {
-        error += data.toString();
+  async waitForExit(deviceId, pid, timeout) {
+    const proc = this.processes.get(deviceId);
+    if (proc && proc.exitCode === null && proc.signalCode === null) {
+      return new Promise((resolve) => {
+        const timer = setTimeout(() => resolve(false), timeout);
+        proc.once('exit', () => {
+          clearTimeout(timer);
+          resolve(true);
+        });
       });
+    }
+    const start = Date.now();
+    while (Date.now() - start < timeout) {
+      if (!isProcessAlive(pid)) return true;
+      await sleep(500);
+    }
+    return !isProcessAlive(pid);
+  }
 
-      process.on('close', (code) => {
-        if (code === 0) {
-          resolve(output);
-        } else {
-          reject(new Error(`ADB command failed (${code}): ${error || 'Unknown error'}`));
-        }
-      });
-    });
+  getAndroidDevice(deviceId) {
+    const d = deviceManager.get(deviceId);
+    if (!d) throw lifecycleError('Device not found', 404);
+    if (d.platform !== 'android') throw lifecycleError('Only Android emulators have a lifecycle', 400);
+    return d;
   }
 
-  async stopEmulator(serial) {
-    try {
-      logger.info(`Stopping emulator ${serial}...`);
-      
-      // Kill the emulator process
-      const process = this.processes.get(serial);
-      if (process) {
-        process.kill('SIGTERM');
-        this.processes.delete(serial);
-      }
+  /**
+   * Stop one emulator: cancel its route tasks, `adb emu kill`, then SIGKILL if it lingers.
+   */
+  async stop(deviceId, { timeout = STOP_TIMEOUT_MS } = {}) {
+    const d = this.getAndroidDevice(deviceId);
+    const serial = d.meta?.deviceId;
+    const pid = d.meta?.emulator?.pid;
+    if (d.status === 'stopping') throw lifecycleError('Device is already stopping', 409);
+    if (['offline', 'crashed'].includes(d.status) && !isProcessAlive(pid)) return d;
 
-      // Force stop using ADB as fallback
+    for (const task of Object.values(d.tasks?.route || {})) {
+      if (task.active) task.cancel();
+    }
+    this.setState(deviceId, 'stopping');
+    await this.kill(deviceId, serial, pid, timeout);
+    this.processes.delete(deviceId);
+    return this.setState(deviceId, 'offline', { pid: null, stoppedAt: new Date().toISOString() });
+  }
+
+  /**
+   * `adb emu kill`, then SIGKILL the emulator process if it lingers past `timeout`.
+   */
+  async kill(deviceId, serial, pid, timeout = STOP_TIMEOUT_MS) {
+    if (serial) {
       try {
-        await this.executeAdbCommand(serial, 'emu kill');
+        await this.executeAdbCommand(serial, ['emu', 'kill']);
       } catch (e) {
-        // Ignore if emulator is already stopped
+        logger.warn(`adb emu kill for ${serial} failed: ${e.message}`);
       }
+    }
 
-      // Update device status
-      const device = deviceManager.get(serial);
-      if (device) {
-        device.status = 'offline';
-      }
+    const exited = await this.waitForExit(deviceId, pid, timeout);
+    if (!exited && typeof pid === 'number') {
+      logger.warn(`Emulator ${serial} did not exit in ${timeout}ms, killing pid ${pid}`);
+      try { process.kill(pid, 'SIGKILL'); } catch (_) { /* already gone */ }
+    }
+  }
 
-      logger.info(`Emulator ${serial} stopped`);
-      return { success: true };
-    } catch (error) {
-      logger.error(`Failed to stop emulator ${serial}: ${error.message}`);
-      throw error;
+  /**
+   * Stop and boot the same AVD again on the same port, keeping the device id.
+   */
+  async restart(deviceId) {
+    const d = this.getAndroidDevice(deviceId);
+    const { avd, port: oldPort, launch: options } = d.meta?.emulator || {};
+    if (!avd || !oldPort) {
+      throw lifecycleError('Device was not started by this API; it cannot be restarted', 400);
+    }
+    await this.stop(deviceId);
+
+    // Prefer the old port so the serial stays the same; fall back to any free pair
+    let port = oldPort;
+    if (!await portAllocator.reserve(oldPort, deviceId)) {
+      port = await portAllocator.allocate(deviceId);
+      const current = deviceManager.get(deviceId);
+      deviceManager.update(deviceId, {
+        meta: { ...current.meta, deviceId: `emulator-${port}`, emulator: { ...current.meta.emulator, port } },
+      });
+    }
+    return this.launch(deviceId, { avd, port, proxy: d.proxy, options: options || resolveLaunchOptions() });
+  }
+
+  /**
+   * Stop the emulator (if this API manages one) and drop the device from the registry.
+   */
+  async remove(deviceId) {
+    const d = deviceManager.get(deviceId);
+    if (!d) throw lifecycleError('Device not found', 404);
+    let stopped = false;
+    if (d.platform === 'android' && d.meta?.emulator?.port) {
+      await this.stop(deviceId);
+      stopped = true;
     }
+    deviceManager.remove(deviceId);
+    return { removed: true, stopped };
+  }
+
+  /**
+   * Run an `adb emu avd snapshot ...` console command on a ready emulator.
+   * The console answers with OK/KO on stdout and adb still exits 0 on KO.
+   */
+  async snapshotCommand(deviceId, args) {
+    const d = this.getAndroidDevice(deviceId);
+    if (!d.meta?.emulator?.port) throw lifecycleError('Device was not started by this API; it has no emulator console', 400);
+    if (d.status !== 'ready') throw lifecycleError(`Device is ${d.status}; snapshots need a ready emulator`, 409);
+    try {
+      return await emulatorConsole.run(d, ['avd', 'snapshot', ...args]);
+    } catch (e) {
+      if (!e.ko) throw e;
+      const notFound = /not found|does not exist|no such/i.test(e.ko);
+      throw lifecycleError(`Snapshot ${args[0]} failed: ${e.ko}`, notFound ? 404 : 500);
+    }
+  }
+
+  async listSnapshots(deviceId) {
+    return parseSnapshotList(await this.snapshotCommand(deviceId, ['list']));
+  }
+
+  async saveSnapshot(deviceId, name) {
+    checkSnapshotName(name);
+    await this.snapshotCommand(deviceId, ['save', name]);
+    logger.info(`Saved snapshot ${name} of device ${deviceId}`);
+    return { saved: true, name };
+  }
+
+  /**
+   * Restore a snapshot in place; running routes are cancelled since the device jumps back in time.
+   */
+  async loadSnapshot(deviceId, name) {
+    checkSnapshotName(name);
+    const d = this.getAndroidDevice(deviceId);
+    for (const task of Object.values(d.tasks?.route || {})) {
+      if (task.active) task.cancel();
+    }
+    await this.snapshotCommand(deviceId, ['load', name]);
+    logger.info(`Loaded snapshot ${name} on device ${deviceId}`);
+    return { loaded: true, name };
+  }
+
+  async deleteSnapshot(deviceId, name) {
+    checkSnapshotName(name);
+    await this.snapshotCommand(deviceId, ['delete', name]);
+    logger.info(`Deleted snapshot ${name} of device ${deviceId}`);
+    return { deleted: true, name };
   }
 
   getEmulatorStatus() {
     return {
-      processes: Array.from(this.processes.entries()).map(([serial, process]) => ({
-        serial,
-        pid: process.pid,
-        status: 'running'
+      processes: Array.from(this.processes.entries()).map(([deviceId, proc]) => ({
+        deviceId,
+        pid: proc.pid,
+        status: deviceManager.get(deviceId)?.status || 'unknown',
       })),
-      devices: deviceManager.list()
+      devices: deviceManager.list(),
     };
   }
 }
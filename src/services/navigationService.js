@@ -1,7 +1,10 @@
-const axios = require('axios');
-const polyline = require('@mapbox/polyline');
 const deviceManager = require('../devices/deviceManager');
 const ActionEngine = require('../actions/actionEngine');
+const google = require('../directions/google');
+const osrm = require('../directions/osrm');
+const staticDirections = require('../directions/static');
+
+const providers = { google, osrm, static: staticDirections };
 
 function toCoordsTuple(value) {
   if (Array.isArray(value) && value.length === 2) return { lat: Number(value[0]), lon: Number(value[1]) };
@@ -25,10 +28,7 @@ function parseProxyUrl(u) {
   }
 }
 
-async function fetchDirections(origin, destination, apiKey, mode = 'driving', axiosProxy) {
-  const o = `${origin.lat},${origin.lon}`;
-  const d = `${destination.lat},${destination.lon}`;
-  const url = `https://maps.googleapis.com/maps/api/directions/json?origin=${encodeURIComponent(o)}&destination=${encodeURIComponent(d)}&mode=${encodeURIComponent(mode)}&key=${encodeURIComponent(apiKey)}`;
+function httpConfigFor(axiosProxy) {
   const config = {};
   if (axiosProxy) {
     // Axios proxy config: { host, port, auth: { username, password }, protocol }
@@ -39,37 +39,52 @@ async function fetchDirections(origin, destination, apiKey, mode = 'driving', ax
       ...(axiosProxy.auth ? { auth: axiosProxy.auth } : {}),
     };
   }
-  const { data } = await axios.get(url, config);
-  if (data.status !== 'OK') {
-    const msg = data.error_message || data.status || 'Directions API error';
-    const e = new Error(msg);
-    e.status = 400;
-    throw e;
+  return config;
+}
+
+function providerFor(name) {
+  const key = name || process.env.DIRECTIONS_PROVIDER || 'google';
+  const provider = providers[key];
+  if (!provider) {
+    throw Object.assign(
+      new Error(`Unknown directions provider '${key}'; expected one of ${Object.keys(providers).join(', ')}`),
+      { status: 400 },
+    );
   }
-  const route = data.routes?.[0];
-  if (!route) throw Object.assign(new Error('No routes found'), { status: 404 });
-  const points = polyline.decode(route.overview_polyline.points)
-    .map(([lat, lon]) => ({ lat, lon }));
-  return { points, raw: data };
+  return provider;
 }
 
 module.exports = {
-  async navigate({ origin, destination, deviceId, intervalMs = 2000, openMaps = true, proxy }) {
-    const apiKey = process.env.GOOGLE_MAPS_API_KEY;
-    if (!apiKey) {
-      const e = new Error('GOOGLE_MAPS_API_KEY not set');
-      e.status = 500;
-      throw e;
+  async navigate({
+    origin,
+    destination,
+    deviceId,
+    intervalMs = 2000,
+    openMaps = true,
+    proxy,
+    provider: providerName,
+    mode = 'driving',
+    providerOptions = {},
+    owner,
+    interpolation,
+    noise,
+  }) {
+    const provider = providerFor(providerName);
+    if (providerOptions === null || typeof providerOptions !== 'object') {
+      throw Object.assign(new Error("'providerOptions' must be an object"), { status: 400 });
     }
-    const o = toCoordsTuple(origin);
-    const d = toCoordsTuple(destination);
+
+    // Static routes carry their own geometry, so origin/destination are optional there
+    const o = origin !== undefined || provider !== staticDirections ? toCoordsTuple(origin) : null;
+    const d = destination !== undefined || provider !== staticDirections ? toCoordsTuple(destination) : null;
 
     // Acquire or use specified device
     let device;
     if (deviceId) {
-      device = deviceManager.ensure(deviceId);
+      device = deviceManager.get(deviceId);
+      if (!device) throw Object.assign(new Error('Device not found'), { status: 404 });
     } else {
-      device = deviceManager.acquire({ platform: 'android' });
+      device = deviceManager.acquire({ platform: 'android', owner: owner || 'navigation' });
       if (!device) {
         const e = new Error('No available Android devices');
         e.status = 409;
@@ -77,24 +92,46 @@ module.exports = {
       }
     }
 
-    // Use proxy for Directions if provided (request proxy has priority, fallback to device.proxy)
-    const axiosProxy = parseProxyUrl(proxy || device.proxy);
+    let task;
+    let points;
+    try {
+      // Use proxy for Directions if provided (request proxy has priority, fallback to device.proxy)
+      const httpConfig = httpConfigFor(parseProxyUrl(proxy || device.proxy));
 
-    const { points } = await fetchDirections(o, d, apiKey, 'driving', axiosProxy);
+      ({ points } = await provider.fetchDirections({
+        origin: o,
+        destination: d,
+        mode,
+        httpConfig,
+        options: providerOptions,
+      }));
+      const target = d || points[points.length - 1];
 
-    // Optionally open Google Maps with navigation intent
-    if (openMaps) {
-      const destQuery = `${d.lat},${d.lon}`;
-      await ActionEngine.intent(device.id, {
-        action: 'android.intent.action.VIEW',
-        data: `google.navigation:q=${encodeURIComponent(destQuery)}`,
-        component: 'com.google.android.apps.maps',
-      });
-    }
+      // Optionally open Google Maps with navigation intent
+      if (openMaps) {
+        const destQuery = `${target.lat},${target.lon}`;
+        await ActionEngine.intent(device.id, {
+          action: 'android.intent.action.VIEW',
+          data: `google.navigation:q=${encodeURIComponent(destQuery)}`,
+          component: 'com.google.android.apps.maps',
+        });
+      }
 
-    // Start GPS simulation along the route
-    const task = await ActionEngine.simulateRoute(device.id, { points, intervalMs });
+      // Start GPS simulation along the route
+      task = await ActionEngine.simulateRoute(device.id, { points, intervalMs, interpolation, noise });
+    } catch (err) {
+      // Do not keep a pool device leased for a navigation that never started
+      if (!deviceId) deviceManager.release(device.id, { force: true });
+      throw err;
+    }
 
-    return { ok: true, deviceId: device.id, taskId: task.taskId, pointsCount: points.length };
+    return {
+      ok: true,
+      deviceId: device.id,
+      provider: provider.name,
+      taskId: task.taskId,
+      pointsCount: task.pointsCount,
+      lease: deviceId ? undefined : device.lease,
+    };
   },
 };
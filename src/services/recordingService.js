@@ -0,0 +1,310 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../logger');
+const adbClient = require('./adbClient');
+const deviceManager = require('../devices/deviceManager');
+const { shellQuote } = require('../utils/shell');
+const { parseScreenrecordOptions, screenrecordArgs, MAX_SEGMENT_SECONDS } = require('../utils/screenrecord');
+
+const RECORDINGS_DIR = path.resolve(process.env.RECORDINGS_DIR || path.join(__dirname, '../../.state/recordings'));
+const FFMPEG_BIN = process.env.FFMPEG_BIN || 'ffmpeg';
+const DEVICE_DIR = '/data/local/tmp';
+const DEFAULT_MAX_DURATION_SEC = 1800;
+const MAX_DURATION_SEC = 4 * 3600;
+// Segments that end sooner than this without being stopped mean screenrecord cannot run
+const MIN_SEGMENT_MS = 2000;
+const PULL_TIMEOUT_MS = 10 * 60 * 1000;
+const FFMPEG_TIMEOUT_MS = 10 * 60 * 1000;
+const STOP_ATTEMPTS = 10;
+const RECORDING_FILE = 'recording.mp4';
+const METADATA_FILE = 'metadata.json';
+const ID_RE = /^[0-9a-f-]{36}$/;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function recordingError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Public view: device-side paths are internal
+function describe(rec) {
+  return {
+    ...rec,
+    segments: rec.segments.map(({ index, startedAt, durationMs, bytes }) => ({ index, startedAt, durationMs, bytes })),
+  };
+}
+
+// Concatenate MP4 segments without re-encoding; argv only, like the adb and SDK tool runners
+function runFfmpeg(args) {
+  return new Promise((resolve, reject) => {
+    logger.debug(`Executing: ${FFMPEG_BIN} ${args.join(' ')}`);
+    const proc = spawn(FFMPEG_BIN, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    let error = '';
+    const timer = setTimeout(() => proc.kill('SIGKILL'), FFMPEG_TIMEOUT_MS);
+    proc.stderr.on('data', (d) => { error = (error + d).slice(-2000); });
+    proc.on('error', (e) => {
+      clearTimeout(timer);
+      reject(recordingError(`${FFMPEG_BIN} is not available: ${e.message}`, 500));
+    });
+    proc.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) return resolve();
+      const reason = signal ? `killed by ${signal}` : `exit code ${code}`;
+      return reject(recordingError(`${FFMPEG_BIN} failed (${reason}): ${error.trim().split('\n').pop() || 'Unknown error'}`, 500));
+    });
+  });
+}
+
+/**
+ * Screen recordings for test evidence.
+ *
+ * `screenrecord` stops after 3 minutes, so a recording is a chain of segments recorded one after
+ * another on the device. When it stops, the segments are pulled to RECORDINGS_DIR/<id>/, stitched
+ * into one MP4 with ffmpeg (stream copy), and described by metadata.json next to the video.
+ * Without ffmpeg the segments are kept as separate files.
+ *
+ * One recording per device at a time.
+ */
+class RecordingService {
+  constructor() {
+    // deviceId -> recording in progress (recording or processing)
+    this.active = new Map();
+    // id -> recording started by this process
+    this.recordings = new Map();
+  }
+
+  /**
+   * Start recording a device's screen.
+   * @param {{bitRate?: number, size?: string, maxDurationSec?: number}} body
+   */
+  start(deviceId, body = {}) {
+    const device = deviceManager.get(deviceId);
+    if (!device) throw recordingError('Device not found', 404);
+    if (device.platform !== 'android') throw recordingError('Screen recording not supported on this platform', 501);
+    const serial = device.meta?.deviceId;
+    if (!serial) throw recordingError('Device serial number is not available', 400);
+    const options = parseScreenrecordOptions(body);
+    const { maxDurationSec = DEFAULT_MAX_DURATION_SEC } = body;
+    if (!Number.isInteger(maxDurationSec) || maxDurationSec < 1 || maxDurationSec > MAX_DURATION_SEC) {
+      throw recordingError(`'maxDurationSec' must be an integer between 1 and ${MAX_DURATION_SEC}`, 400);
+    }
+    const current = this.active.get(deviceId);
+    if (current) throw recordingError(`Device already has a recording in progress (${current.rec.id})`, 409);
+
+    const id = uuidv4();
+    const rec = {
+      id,
+      deviceId,
+      serial,
+      status: 'recording',
+      options,
+      maxDurationSec,
+      startedAt: new Date().toISOString(),
+      stoppedAt: null,
+      durationMs: null,
+      segments: [],
+      file: null,
+      files: [],
+      bytes: 0,
+      stitched: false,
+      error: null,
+    };
+    // Disk first: if the directory cannot be written, no recording is left registered as in progress
+    fs.mkdirSync(this.dir(id), { recursive: true });
+    this.save(rec);
+    const state = { rec, stopRequested: false, segment: null };
+    this.active.set(deviceId, state);
+    this.recordings.set(id, state);
+
+    state.done = this.record(state)
+      .then(() => this.finish(state))
+      .catch((e) => {
+        rec.status = 'failed';
+        rec.error = e.message;
+        logger.error(`Recording ${id} of ${deviceId} failed: ${e.message}`);
+      })
+      .finally(() => {
+        this.save(rec);
+        this.active.delete(deviceId);
+      });
+    logger.info(`Recording ${id} started on ${deviceId}`);
+    return describe(rec);
+  }
+
+  /**
+   * Stop a recording and wait until its video is on the host. Stopping a finished one returns it as is.
+   */
+  async stop(deviceId, id) {
+    const state = this.recordings.get(id);
+    if (!state || state.rec.deviceId !== deviceId) return this.get(deviceId, id);
+    if (!state.stopRequested && state.rec.status === 'recording') {
+      state.stopRequested = true;
+      await this.interrupt(state);
+    }
+    await state.done;
+    return describe(state.rec);
+  }
+
+  /**
+   * Recording metadata, also for recordings made before a restart.
+   */
+  get(deviceId, id) {
+    const state = this.recordings.get(id);
+    if (state && state.rec.deviceId === deviceId) return describe(state.rec);
+    if (!ID_RE.test(id)) throw recordingError('Recording not found', 404);
+    let rec;
+    try {
+      rec = JSON.parse(fs.readFileSync(path.join(this.dir(id), METADATA_FILE), 'utf-8'));
+    } catch (_) {
+      throw recordingError('Recording not found', 404);
+    }
+    if (rec.deviceId !== deviceId) throw recordingError('Recording not found', 404);
+    // Not finished by this process: the server stopped while it was running
+    if (['recording', 'processing'].includes(rec.status)) {
+      return { ...rec, status: 'failed', error: rec.error || 'Interrupted by a server restart' };
+    }
+    return rec;
+  }
+
+  /**
+   * Host path of the stitched video, or of one segment when they could not be stitched.
+   * @param {number} [segment] index into `files`
+   */
+  videoPath(deviceId, id, segment) {
+    const rec = this.get(deviceId, id);
+    if (rec.status !== 'ready') throw recordingError(`Recording is ${rec.status}`, 409);
+    let file = rec.file;
+    if (segment !== undefined) {
+      const index = Number(segment);
+      if (!Number.isInteger(index) || !rec.files[index]) {
+        throw recordingError(`'segment' must be an index below ${rec.files.length}`, 400);
+      }
+      file = rec.files[index];
+    }
+    if (!file) throw recordingError("Segments were not stitched; pass 'segment'", 409);
+    return path.join(this.dir(id), file);
+  }
+
+  dir(id) {
+    return path.join(RECORDINGS_DIR, id);
+  }
+
+  save(rec) {
+    try {
+      fs.writeFileSync(path.join(this.dir(rec.id), METADATA_FILE), JSON.stringify(describe(rec), null, 2));
+    } catch (e) {
+      logger.error(`Failed to save recording metadata ${rec.id}: ${e.message}`);
+    }
+  }
+
+  // Chain screenrecord runs until stopped, the time budget is used up, or a run fails
+  async record(state) {
+    const { rec } = state;
+    state.discarded = [];
+    const deadline = Date.parse(rec.startedAt) + rec.maxDurationSec * 1000;
+    while (!state.stopRequested) {
+      const remainingSec = Math.ceil((deadline - Date.now()) / 1000);
+      if (remainingSec < 1) break;
+      const index = rec.segments.length;
+      const remote = `${DEVICE_DIR}/rec-${rec.id}-${index}.mp4`;
+      const pidFile = `${DEVICE_DIR}/rec-${rec.id}-${index}.pid`;
+      const args = screenrecordArgs(rec.options, { output: remote, timeLimit: Math.min(remainingSec, MAX_SEGMENT_SECONDS) });
+      const segment = { index, remote, pidFile, startedAt: new Date().toISOString(), durationMs: null, bytes: null };
+      rec.segments.push(segment);
+
+      const started = Date.now();
+      let failure = null;
+      // Backgrounded so stop() can send SIGINT by pid; screenrecord finishes the MP4 on SIGINT
+      state.segment = adbClient.shell(
+        rec.serial,
+        `${args.map((a) => shellQuote(a)).join(' ')} & echo $! > ${shellQuote(pidFile)}; wait $!`,
+        { timeout: (MAX_SEGMENT_SECONDS + 60) * 1000 },
+      );
+      try {
+        await state.segment;
+      } catch (e) {
+        failure = e;
+      } finally {
+        state.segment = null;
+        segment.durationMs = Date.now() - started;
+      }
+      if (!failure && !state.stopRequested && segment.durationMs < MIN_SEGMENT_MS && remainingSec * 1000 > MIN_SEGMENT_MS) {
+        failure = new Error(`screenrecord exited after ${segment.durationMs} ms`);
+      }
+      if (failure) {
+        // A failed run leaves no usable video; keep what was recorded before it
+        state.discarded.push(rec.segments.pop());
+        rec.error = `Recording ended early: ${failure.message}`;
+        logger.warn(`Recording ${rec.id} of ${rec.deviceId}: ${failure.message}`);
+        break;
+      }
+    }
+    rec.stoppedAt = new Date().toISOString();
+    rec.durationMs = Date.parse(rec.stoppedAt) - Date.parse(rec.startedAt);
+  }
+
+  // SIGINT the running segment; retried because its pid file appears just after it starts
+  async interrupt(state) {
+    for (let attempt = 0; attempt < STOP_ATTEMPTS && state.segment; attempt++) {
+      const { pidFile } = state.rec.segments[state.rec.segments.length - 1];
+      const running = state.segment;
+      await adbClient.shell(state.rec.serial, `kill -INT "$(cat ${shellQuote(pidFile)})"`).catch(() => {});
+      await Promise.race([running.catch(() => {}), sleep(1000)]);
+    }
+  }
+
+  // Pull the segments, stitch them and clean up the device
+  async finish(state) {
+    const { rec } = state;
+    rec.status = 'processing';
+    this.save(rec);
+    const dir = this.dir(rec.id);
+    try {
+      for (const segment of rec.segments) {
+        const name = `segment-${String(segment.index).padStart(3, '0')}.mp4`;
+        await adbClient.pull(rec.serial, segment.remote, path.join(dir, name), { timeout: PULL_TIMEOUT_MS });
+        segment.file = name;
+        segment.bytes = fs.statSync(path.join(dir, name)).size;
+      }
+    } finally {
+      const remotes = [...rec.segments, ...state.discarded].flatMap((s) => [s.remote, s.pidFile]);
+      await adbClient.shell(rec.serial, ['rm', '-f', ...remotes]).catch(() => {});
+    }
+    if (!rec.segments.length) throw new Error(rec.error || 'Nothing was recorded');
+    const files = rec.segments.map((s) => s.file);
+
+    if (files.length === 1) {
+      fs.renameSync(path.join(dir, files[0]), path.join(dir, RECORDING_FILE));
+      rec.stitched = true;
+    } else {
+      const list = path.join(dir, 'segments.txt');
+      fs.writeFileSync(list, files.map((f) => `file '${f}'\n`).join(''));
+      try {
+        await runFfmpeg(['-y', '-loglevel', 'error', '-f', 'concat', '-safe', '0', '-i', list, '-c', 'copy',
+          '-movflags', '+faststart', path.join(dir, RECORDING_FILE)]);
+        files.forEach((f) => fs.rmSync(path.join(dir, f), { force: true }));
+        rec.stitched = true;
+      } catch (e) {
+        logger.warn(`Recording ${rec.id}: keeping ${files.length} segments, stitching failed: ${e.message}`);
+        rec.error = [rec.error, `Segments not stitched: ${e.message}`].filter(Boolean).join('; ');
+      } finally {
+        fs.rmSync(list, { force: true });
+      }
+    }
+
+    if (rec.stitched) {
+      rec.file = RECORDING_FILE;
+      rec.files = [];
+      rec.bytes = fs.statSync(path.join(dir, RECORDING_FILE)).size;
+    } else {
+      rec.files = files;
+      rec.bytes = rec.segments.reduce((sum, s) => sum + s.bytes, 0);
+    }
+    rec.status = 'ready';
+    logger.info(`Recording ${rec.id} of ${rec.deviceId} ready: ${rec.segments.length} segment(s), ${rec.bytes} bytes`);
+  }
+}
+
+module.exports = new RecordingService();
@@ -0,0 +1,214 @@
+const logger = require('../logger');
+const ActionEngine = require('../actions/actionEngine');
+const deviceManager = require('../devices/deviceManager');
+const { AnnexBParser, NAL_TYPES, nalType, codecString } = require('../utils/h264');
+const { parseScreenrecordOptions } = require('../utils/screenrecord');
+
+// A viewer this far behind skips to the next key frame instead of queueing more
+const MAX_VIEWER_BUFFER = 4 * 1024 * 1024;
+// New viewers are sent the current GOP; a longer one is dropped and they wait for the next key frame
+const MAX_GOP_BYTES = 16 * 1024 * 1024;
+// screenrecord runs that end sooner than this count as failures; this many in a row give up
+const MIN_RUN_MS = 5000;
+const MAX_FAILED_RUNS = 3;
+const RETRY_DELAY_MS = 1000;
+// These will not get better by restarting
+const FATAL_STATUSES = [400, 404, 501];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function send(ws, data) {
+  if (ws.readyState === ws.OPEN) ws.send(data);
+}
+
+/**
+ * One screenrecord pipe shared by every viewer of a device (with the same options).
+ * screenrecord stops after 3 minutes; the stream restarts it as long as anyone is watching.
+ */
+class ScreenStream {
+  constructor(key, deviceId, options, onIdle) {
+    this.key = key;
+    this.deviceId = deviceId;
+    this.options = options;
+    this.onIdle = onIdle;
+    this.viewers = new Map();
+    this.source = null;
+    this.running = false;
+    this.resetCodec();
+  }
+
+  resetCodec() {
+    this.sps = null;
+    this.pps = null;
+    this.codec = null;
+    this.gop = null;
+    this.gopBytes = 0;
+    this.lastType = null;
+  }
+
+  add(ws) {
+    const viewer = { codec: null, waitingForKeyFrame: true };
+    this.viewers.set(ws, viewer);
+    if (this.gop) {
+      this.sendConfig(ws, viewer);
+      this.gop.forEach((unit) => send(ws, unit));
+      viewer.waitingForKeyFrame = false;
+    }
+    if (!this.running) this.run();
+  }
+
+  remove(ws) {
+    this.viewers.delete(ws);
+    if (!this.viewers.size && this.source) this.source.destroy();
+  }
+
+  sendConfig(ws, viewer) {
+    if (!this.codec || viewer.codec === this.codec) return;
+    viewer.codec = this.codec;
+    send(ws, JSON.stringify({ type: 'config', codec: this.codec, format: 'annexb' }));
+  }
+
+  publish(unit) {
+    const type = nalType(unit);
+    if (type === NAL_TYPES.SPS) {
+      this.sps = unit;
+      this.codec = codecString(unit);
+      this.gop = null;
+    } else if (type === NAL_TYPES.PPS) {
+      this.pps = unit;
+    } else if (type === NAL_TYPES.IDR && this.lastType !== NAL_TYPES.IDR && this.sps && this.pps) {
+      // Key frame (possibly several slices): start a new GOP for late joiners
+      this.gop = [this.sps, this.pps];
+      this.gopBytes = this.sps.length + this.pps.length;
+    }
+    this.lastType = type;
+    if (this.gop && type !== NAL_TYPES.SPS && type !== NAL_TYPES.PPS) {
+      this.gop.push(unit);
+      this.gopBytes += unit.length;
+      if (this.gopBytes > MAX_GOP_BYTES) this.gop = null;
+    }
+
+    for (const [ws, viewer] of this.viewers) {
+      if (!viewer.waitingForKeyFrame && ws.bufferedAmount > MAX_VIEWER_BUFFER) {
+        logger.warn(`Video viewer of ${this.deviceId} is falling behind; skipping to the next key frame`);
+        viewer.waitingForKeyFrame = true;
+      }
+      if (viewer.waitingForKeyFrame) {
+        if (type !== NAL_TYPES.IDR || !this.sps || !this.pps || ws.bufferedAmount > MAX_VIEWER_BUFFER) continue;
+        this.sendConfig(ws, viewer);
+        send(ws, this.sps);
+        send(ws, this.pps);
+        viewer.waitingForKeyFrame = false;
+      } else if (type === NAL_TYPES.SPS) {
+        this.sendConfig(ws, viewer);
+      }
+      send(ws, unit);
+    }
+  }
+
+  // Feed one screenrecord run to the viewers; resolves with the number of NAL units when it ends
+  pump(source) {
+    const parser = new AnnexBParser();
+    // Units are only cut at start codes: a pause in the pipe says nothing about where a unit ends
+    return new Promise((resolve, reject) => {
+      source.on('data', (chunk) => parser.push(chunk).forEach((u) => this.publish(u)));
+      source.once('error', reject);
+      source.once('close', resolve);
+    }).finally(() => {
+      // Nothing follows the last unit once the stream is over
+      parser.flush().forEach((u) => this.publish(u));
+      if (!parser.units && parser.preamble.trim()) {
+        logger.warn(`screenrecord on ${this.deviceId}: ${parser.preamble.trim()}`);
+      }
+    }).then(() => parser.units);
+  }
+
+  async run() {
+    this.running = true;
+    let failures = 0;
+    let error = null;
+    while (this.viewers.size) {
+      const started = Date.now();
+      let units = 0;
+      try {
+        this.source = await ActionEngine.videoStream(this.deviceId, this.options);
+        // Every run starts with its own SPS/PPS and key frame
+        this.resetCodec();
+        if (!this.viewers.size) this.source.destroy();
+        units = await this.pump(this.source);
+        error = null;
+      } catch (e) {
+        error = e;
+      } finally {
+        this.source = null;
+      }
+      if (!this.viewers.size) break;
+      if (error && FATAL_STATUSES.includes(error.status)) break;
+
+      if (Date.now() - started < MIN_RUN_MS || !units) failures++;
+      else failures = 0;
+      if (failures >= MAX_FAILED_RUNS) {
+        error = error || new Error('screenrecord keeps exiting without producing video');
+        break;
+      }
+      logger.info(`Restarting screenrecord on ${this.deviceId} (${this.viewers.size} viewer(s))`);
+      if (failures) await sleep(RETRY_DELAY_MS * failures);
+    }
+    this.running = false;
+
+    if (this.viewers.size) {
+      const message = error?.message || 'Video stream ended';
+      logger.error(`Video stream of ${this.deviceId} stopped: ${message}`);
+      for (const ws of this.viewers.keys()) {
+        send(ws, JSON.stringify({ type: 'error', status: error?.status || 500, error: message }));
+        ws.close(1011, message.slice(0, 120));
+      }
+      this.viewers.clear();
+    }
+    this.onIdle(this);
+  }
+}
+
+/**
+ * Live H.264 screen streams over WebSocket. Viewers of a device that ask for the same options
+ * share one screenrecord process.
+ *
+ * Viewers receive a JSON `{"type":"config","codec":"avc1.…","format":"annexb"}` text message before
+ * the first frame and whenever the codec changes, then binary messages that each hold one NAL unit
+ * with a 4-byte start code. A viewer joining mid-stream gets the current GOP first.
+ */
+class ScreenStreamService {
+  constructor() {
+    this.streams = new Map();
+  }
+
+  /**
+   * Check the device and options before accepting a viewer (throws 404 / 400).
+   * @returns {{bitRate?: number, size?: string}}
+   */
+  prepare(deviceId, query) {
+    if (!deviceManager.get(deviceId)) throw Object.assign(new Error('Device not found'), { status: 404 });
+    return parseScreenrecordOptions(query);
+  }
+
+  /**
+   * Attach a WebSocket to the device's stream; it is detached when it closes.
+   * @param {import('ws').WebSocket} ws
+   */
+  join(deviceId, options, ws) {
+    const key = `${deviceId}|${options.bitRate || ''}|${options.size || ''}`;
+    let stream = this.streams.get(key);
+    if (!stream) {
+      stream = new ScreenStream(key, deviceId, options, (s) => {
+        if (this.streams.get(s.key) === s && !s.viewers.size) this.streams.delete(s.key);
+      });
+      this.streams.set(key, stream);
+    }
+    ws.on('close', () => stream.remove(ws));
+    ws.on('error', (e) => logger.debug(`Video viewer of ${deviceId}: ${e.message}`));
+    stream.add(ws);
+    logger.info(`Video viewer joined ${deviceId} (${stream.viewers.size} watching)`);
+  }
+}
+
+module.exports = new ScreenStreamService();
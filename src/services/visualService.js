@@ -0,0 +1,149 @@
+const sharp = require('sharp');
+const logger = require('../logger');
+const ActionEngine = require('../actions/actionEngine');
+const { BaselineStore } = require('./baselineStore');
+const { parseIgnoreRegions, hasPresets, resolveRegions, compareImages } = require('../utils/visualDiff');
+const { encodeScreenshot } = require('../utils/screenshot');
+
+const DEFAULT_THRESHOLD = 0.1;
+const DEFAULT_MAX_MISMATCH_PERCENT = 0;
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function readAll(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', (c) => chunks.push(c));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+async function decodePng(png) {
+  const { data, info } = await sharp(png).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  return { width: info.width, height: info.height, data };
+}
+
+/**
+ * Comparison settings: values in `body` win over the ones stored with the baseline, then defaults.
+ * - threshold: 0-1, how different one pixel may be before it counts (perceptual YIQ distance)
+ * - maxMismatchPercent: 0-100, share of compared pixels that may differ for the check to pass
+ * - ignoreRegions: rectangles and/or "statusBar" / "navigationBar"
+ */
+function settingsFrom(body, stored = {}) {
+  const threshold = body.threshold ?? stored.threshold ?? DEFAULT_THRESHOLD;
+  if (typeof threshold !== 'number' || !(threshold >= 0 && threshold <= 1)) {
+    throw badRequest("'threshold' must be a number between 0 and 1");
+  }
+  const maxMismatchPercent = body.maxMismatchPercent ?? stored.maxMismatchPercent ?? DEFAULT_MAX_MISMATCH_PERCENT;
+  if (typeof maxMismatchPercent !== 'number' || !(maxMismatchPercent >= 0 && maxMismatchPercent <= 100)) {
+    throw badRequest("'maxMismatchPercent' must be a number between 0 and 100");
+  }
+  const ignoreRegions = parseIgnoreRegions(body.ignoreRegions ?? stored.ignoreRegions ?? []);
+  return { threshold, maxMismatchPercent, ignoreRegions };
+}
+
+/**
+ * Visual regression checks: compare a device screenshot against a named baseline
+ * (app / screen / device profile) and approve new baselines.
+ */
+class VisualService {
+  constructor(store = new BaselineStore()) {
+    this.store = store;
+  }
+
+  /**
+   * Capture the screen (with the device checks and dialog handling of screenshotStream) and
+   * compare it with the baseline. `profile` defaults to the screenshot size, e.g. "1080x2400".
+   * With `approve: true` the screenshot becomes the baseline afterwards.
+   */
+  async check(deviceId, body = {}) {
+    const { app, screen, profile, approve = false } = body;
+    if (typeof approve !== 'boolean') throw badRequest("'approve' must be a boolean");
+    // Fail on bad input before spending a screenshot on it
+    this.store.key({ app, screen, profile: profile ?? 'default' });
+    settingsFrom(body);
+
+    const png = await readAll(await ActionEngine.screenshotStream(deviceId));
+    const actual = await decodePng(png);
+    const key = this.store.key({ app, screen, profile: profile ?? `${actual.width}x${actual.height}` });
+    const existing = this.store.get(key);
+    const settings = settingsFrom(body, existing?.meta);
+    const regions = hasPresets(settings.ignoreRegions)
+      ? resolveRegions(settings.ignoreRegions, await ActionEngine.systemBars(deviceId, actual))
+      : settings.ignoreRegions;
+
+    const result = {
+      ...key,
+      deviceId,
+      checkedAt: new Date().toISOString(),
+      width: actual.width,
+      height: actual.height,
+      ...settings,
+      baseline: Boolean(existing),
+    };
+    let diffPng = null;
+    if (existing) {
+      const expected = await decodePng(existing.png);
+      const { diff, ...comparison } = compareImages(expected, actual, { threshold: settings.threshold, ignoreRegions: regions });
+      Object.assign(result, comparison, {
+        passed: comparison.sizeMatches && comparison.mismatchPercent <= settings.maxMismatchPercent,
+      });
+      if (!comparison.sizeMatches) {
+        result.reason = `Screenshot is ${actual.width}x${actual.height}, baseline is ${expected.width}x${expected.height}`;
+      }
+      if (diff) diffPng = (await encodeScreenshot(diff, { format: 'png' })).buffer;
+    } else {
+      Object.assign(result, { passed: false, mismatchPercent: null, reason: 'No baseline yet' });
+    }
+
+    this.store.saveLast(key, { actual: png, diff: diffPng, result });
+    result.approved = approve;
+    if (approve) this.saveBaseline(key, png, actual, settings, deviceId);
+    logger.info(`Visual check ${Object.values(key).join('/')} on ${deviceId}: ${
+      result.passed ? 'passed' : result.reason || `${result.mismatchPercent}% different`}${approve ? ' (approved)' : ''}`);
+    return { ...result, diff: diffPng ? { contentType: 'image/png', base64: diffPng.toString('base64') } : null };
+  }
+
+  /**
+   * Make the latest checked screenshot of a baseline the new baseline. `body` may change the
+   * stored comparison settings.
+   */
+  async approve(params, body = {}) {
+    const key = this.store.key(params);
+    const last = this.store.last(key);
+    if (!last) throw Object.assign(new Error('No visual check to approve for this baseline'), { status: 404 });
+    const settings = settingsFrom(body, last.result);
+    const { width, height } = await sharp(last.png).metadata();
+    this.saveBaseline(key, last.png, { width, height }, settings, last.result.deviceId);
+    return this.get(key);
+  }
+
+  saveBaseline(key, png, { width, height }, settings, deviceId) {
+    this.store.save(key, png, { ...settings, width, height, approvedAt: new Date().toISOString(), approvedFrom: deviceId });
+  }
+
+  /** Baseline metadata and the latest check result. */
+  get(params) {
+    const key = this.store.key(params);
+    const baseline = this.store.get(key)?.meta || null;
+    const last = this.store.last(key)?.result || null;
+    if (!baseline && !last) throw Object.assign(new Error('Baseline not found'), { status: 404 });
+    return { ...key, baseline, last };
+  }
+
+  list(app) {
+    return this.store.list(app);
+  }
+
+  /** Host path of the baseline, last actual or last diff PNG. */
+  imagePath(params, image) {
+    const file = this.store.image(this.store.key(params), image);
+    if (!file) throw Object.assign(new Error(`No ${image} image for this baseline`), { status: 404 });
+    return file;
+  }
+}
+
+module.exports = new VisualService();
@@ -1,9 +1,6 @@
 // src/utils/dialogHandler.js
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const fs = require('fs');
 const { XMLParser } = require('fast-xml-parser');
-const execAsync = promisify(exec);
+const adbClient = require('../services/adbClient');
 
 /**
  * Handle system dialogs (e.g., "System UI isn't responding") using UIAutomator dump
@@ -12,17 +9,13 @@ const execAsync = promisify(exec);
  */
 async function handleSystemDialogs(serial) {
     const deviceDumpFile = `/sdcard/window_dump_${serial}.xml`;
-    const localDumpFile = `/tmp/window_dump_${serial}.xml`;
-    
+
     try {
         // 1️⃣ Dump UI hierarchy to device
-        await execAsync(`adb -s ${serial} shell uiautomator dump --compressed ${deviceDumpFile}`);
-
-        // 2️⃣ Pull XML to local
-        await execAsync(`adb -s ${serial} pull ${deviceDumpFile} ${localDumpFile}`);
+        await adbClient.shell(serial, ['uiautomator', 'dump', '--compressed', deviceDumpFile]);
 
-        // 3️⃣ Read XML content
-        const xmlData = fs.readFileSync(localDumpFile, 'utf-8');
+        // 2️⃣ Pull and read XML content
+        const xmlData = (await adbClient.pull(serial, deviceDumpFile)).toString('utf-8');
 
         // 4️⃣ Check for any system dialogs that need handling
         const hasSystemDialog = (
@@ -68,15 +61,6 @@ async function handleSystemDialogs(serial) {
     } catch (error) {
         console.error(`[${serial}] Error handling system dialogs:`, error);
         return false;
-    } finally {
-        // Clean up files in all cases
-        try {
-            if (fs.existsSync(localDumpFile)) {
-                fs.unlinkSync(localDumpFile);
-            }
-        } catch (cleanupError) {
-            console.warn(`[${serial}] Failed to clean up temporary files:`, cleanupError);
-        }
     }
 }
 
@@ -0,0 +1,154 @@
+// src/utils/gesture.js
+// Multi-touch gestures as Linux multitouch protocol B events (for `sendevent` on the device).
+
+const EV_SYN = 0;
+const EV_KEY = 1;
+const EV_ABS = 3;
+const SYN_REPORT = 0;
+const BTN_TOUCH = 0x14a;
+const ABS_MT_SLOT = 0x2f;
+const ABS_MT_TOUCH_MAJOR = 0x30;
+const ABS_MT_POSITION_X = 0x35;
+const ABS_MT_POSITION_Y = 0x36;
+const ABS_MT_TRACKING_ID = 0x39;
+const ABS_MT_PRESSURE = 0x3a;
+
+const FRAME_MS = 16;
+const MAX_POINTERS = 10;
+const MAX_WAYPOINTS = 500;
+const MAX_DURATION_MS = 60000;
+
+function badGesture(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+/**
+ * Find the touchscreen in `getevent -p` output: the first device reporting multitouch
+ * X/Y axes, preferring one marked INPUT_PROP_DIRECT.
+ * @returns {{path: string, name: string, axes: Object<number, {min: number, max: number}>}|null}
+ */
+function findTouchscreen(output) {
+  const devices = String(output).split(/^add device \d+: /m).slice(1).map((block) => {
+    const axes = {};
+    for (const m of block.matchAll(/([0-9a-f]{4})\s*:\s*value -?\d+, min (-?\d+), max (-?\d+)/g)) {
+      axes[parseInt(m[1], 16)] = { min: Number(m[2]), max: Number(m[3]) };
+    }
+    return {
+      path: block.split(/\s/)[0],
+      name: (block.match(/name:\s+"([^"]*)"/) || [])[1] || '',
+      direct: /INPUT_PROP_DIRECT/.test(block),
+      axes,
+    };
+  });
+  const touch = devices.filter((d) => d.axes[ABS_MT_POSITION_X] && d.axes[ABS_MT_POSITION_Y]);
+  const best = touch.find((d) => d.direct) || touch[0];
+  if (!best) return null;
+  const { direct, ...rest } = best;
+  return rest;
+}
+
+/**
+ * Validate `pointers`: 1-10 fingers, each a path of { x, y, t } waypoints with t in ms from
+ * the start of the gesture, non-decreasing. A finger goes down at its first waypoint, moves
+ * linearly between waypoints and lifts at its last one.
+ */
+function validatePointers(pointers) {
+  if (!Array.isArray(pointers) || pointers.length < 1 || pointers.length > MAX_POINTERS) {
+    throw badGesture(`'pointers' must be an array of 1-${MAX_POINTERS} pointers`);
+  }
+  pointers.forEach((pointer, i) => {
+    const path = pointer?.path;
+    if (!Array.isArray(path) || path.length < 1 || path.length > MAX_WAYPOINTS) {
+      throw badGesture(`'pointers[${i}].path' must be an array of 1-${MAX_WAYPOINTS} waypoints`);
+    }
+    path.forEach((w, k) => {
+      const where = `pointers[${i}].path[${k}]`;
+      if (!w || typeof w.x !== 'number' || typeof w.y !== 'number' || !Number.isFinite(w.x) || !Number.isFinite(w.y)
+        || w.x < 0 || w.y < 0) {
+        throw badGesture(`'${where}' needs non-negative numeric 'x' and 'y' (screen pixels)`);
+      }
+      if (!Number.isInteger(w.t) || w.t < 0 || w.t > MAX_DURATION_MS) {
+        throw badGesture(`'${where}.t' must be an integer between 0 and ${MAX_DURATION_MS} (ms)`);
+      }
+      if (k > 0 && w.t < path[k - 1].t) throw badGesture(`'${where}.t' must not be earlier than the previous waypoint`);
+    });
+  });
+  return pointers;
+}
+
+// Position of a pointer at time t, or null when it is not touching
+function positionAt(path, t) {
+  if (t < path[0].t || t > path[path.length - 1].t) return null;
+  for (let k = 1; k < path.length; k++) {
+    const a = path[k - 1];
+    const b = path[k];
+    if (t <= b.t) {
+      const f = b.t === a.t ? 1 : (t - a.t) / (b.t - a.t);
+      return { x: a.x + (b.x - a.x) * f, y: a.y + (b.y - a.y) * f };
+    }
+  }
+  return { x: path[0].x, y: path[0].y };
+}
+
+/**
+ * Device-side shell script replaying the gesture with `sendevent`, one frame every ~16 ms.
+ * @param {object[]} pointers validated pointers (screen pixels)
+ * @param {{path: string, axes: object}} touchscreen from findTouchscreen
+ * @param {{width: number, height: number}} screen display size in pixels
+ * @returns {{script: string, durationMs: number, frames: number}}
+ */
+function buildSendeventScript(pointers, touchscreen, screen) {
+  const { axes } = touchscreen;
+  const slots = axes[ABS_MT_SLOT] ? axes[ABS_MT_SLOT].max + 1 : 1;
+  if (pointers.length > slots) {
+    throw badGesture(`The touchscreen supports ${slots} simultaneous pointer(s), got ${pointers.length}`);
+  }
+  const scale = (v, size, axis) => {
+    const { min, max } = axes[axis];
+    return Math.round(min + (Math.min(v, size - 1) / Math.max(1, size - 1)) * (max - min));
+  };
+  const ev = (type, code, value) => `sendevent ${touchscreen.path} ${type} ${code} ${value}`;
+
+  // Frame times: a fixed cadence plus every waypoint, so short taps and corners are exact
+  const end = Math.max(...pointers.map((p) => p.path[p.path.length - 1].t));
+  const times = new Set(pointers.flatMap((p) => p.path.map((w) => w.t)));
+  for (let t = 0; t <= end; t += FRAME_MS) times.add(t);
+  const frames = Array.from(times).sort((a, b) => a - b);
+
+  const lines = [];
+  const down = new Array(pointers.length).fill(false);
+  let touching = 0;
+  let prevT = frames[0];
+  // A pointer lifts in the frame after its last waypoint, so one-point taps still register
+  for (const t of [...frames, end + FRAME_MS]) {
+    if (t > prevT) lines.push(`sleep ${((t - prevT) / 1000).toFixed(3)}`);
+    prevT = t;
+    const frame = [];
+    pointers.forEach((p, i) => {
+      const pos = positionAt(p.path, t);
+      if (pos) {
+        frame.push(ev(EV_ABS, ABS_MT_SLOT, i));
+        if (!down[i]) {
+          frame.push(ev(EV_ABS, ABS_MT_TRACKING_ID, i + 1));
+          if (axes[ABS_MT_TOUCH_MAJOR]) frame.push(ev(EV_ABS, ABS_MT_TOUCH_MAJOR, Math.min(axes[ABS_MT_TOUCH_MAJOR].max, 5)));
+          if (axes[ABS_MT_PRESSURE]) frame.push(ev(EV_ABS, ABS_MT_PRESSURE, Math.ceil(axes[ABS_MT_PRESSURE].max / 2)));
+          down[i] = true;
+          touching++;
+          if (touching === 1) frame.push(ev(EV_KEY, BTN_TOUCH, 1));
+        }
+        frame.push(ev(EV_ABS, ABS_MT_POSITION_X, scale(pos.x, screen.width, ABS_MT_POSITION_X)));
+        frame.push(ev(EV_ABS, ABS_MT_POSITION_Y, scale(pos.y, screen.height, ABS_MT_POSITION_Y)));
+      } else if (down[i] && t > p.path[p.path.length - 1].t) {
+        frame.push(ev(EV_ABS, ABS_MT_SLOT, i));
+        frame.push(ev(EV_ABS, ABS_MT_TRACKING_ID, -1));
+        down[i] = false;
+        touching--;
+        if (touching === 0) frame.push(ev(EV_KEY, BTN_TOUCH, 0));
+      }
+    });
+    if (frame.length) lines.push(...frame, ev(EV_SYN, SYN_REPORT, 0));
+  }
+  return { script: `${lines.join('\n')}\n`, durationMs: end, frames: frames.length };
+}
+
+module.exports = { findTouchscreen, validatePointers, buildSendeventScript };
@@ -0,0 +1,115 @@
+// src/utils/h264.js
+// Split an H.264 Annex B byte stream (screenrecord --output-format=h264) into NAL units.
+
+const START_CODE = Buffer.from([0, 0, 0, 1]);
+const START_CODE_3 = Buffer.from([0, 0, 1]);
+const MAX_PREAMBLE = 512;
+
+const NAL_TYPES = {
+  SLICE: 1,
+  IDR: 5,
+  SEI: 6,
+  SPS: 7,
+  PPS: 8,
+  AUD: 9,
+};
+
+/** Type of a NAL unit as returned by AnnexBParser (with its 4-byte start code). */
+function nalType(unit) {
+  return unit[START_CODE.length] & 0x1f;
+}
+
+/**
+ * WebCodecs / MSE codec string of an SPS unit, e.g. "avc1.42c01f".
+ * @param {Buffer} sps SPS unit with its start code
+ */
+function codecString(sps) {
+  const hex = (i) => sps[START_CODE.length + i].toString(16).padStart(2, '0');
+  return `avc1.${hex(1)}${hex(2)}${hex(3)}`;
+}
+
+// Zero bytes before a start code belong to the byte stream, not to the NAL unit
+function trimTrailingZeros(buffer) {
+  let end = buffer.length;
+  while (end > 0 && buffer[end - 1] === 0) end--;
+  return buffer.subarray(0, end);
+}
+
+/**
+ * Incremental Annex B parser. push() chunks as they arrive and get back the NAL units that are
+ * complete, each prefixed with a 4-byte start code. A unit is complete once the next start code
+ * arrives, so the last unit of a frame waits for the next frame; flush() emits it at end of stream.
+ *
+ * Bytes before the first start code are not video (e.g. an error printed by screenrecord); the
+ * first few hundred are kept in `preamble`.
+ */
+class AnnexBParser {
+  constructor() {
+    this.buffer = Buffer.alloc(0);
+    this.scanned = 0;
+    this.synced = false;
+    this.preamble = '';
+    this.units = 0;
+  }
+
+  /**
+   * @param {Buffer} chunk
+   * @returns {Buffer[]} complete NAL units
+   */
+  push(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+    if (!this.synced) {
+      const i = this.buffer.indexOf(START_CODE_3);
+      if (i < 0) {
+        const keep = Math.max(0, this.buffer.length - 2);
+        this.notVideo(this.buffer.subarray(0, keep));
+        this.buffer = this.buffer.subarray(keep);
+        return [];
+      }
+      this.notVideo(trimTrailingZeros(this.buffer.subarray(0, i)));
+      this.buffer = this.buffer.subarray(i + START_CODE_3.length);
+      this.scanned = 0;
+      this.synced = true;
+    }
+
+    const units = [];
+    let start = 0;
+    let i = this.buffer.indexOf(START_CODE_3, this.scanned);
+    while (i >= 0) {
+      this.emit(this.buffer.subarray(start, i), units);
+      start = i + START_CODE_3.length;
+      i = this.buffer.indexOf(START_CODE_3, start);
+    }
+    this.buffer = this.buffer.subarray(start);
+    // A start code may be split across chunks; rescan its first bytes next time
+    this.scanned = Math.max(0, this.buffer.length - (START_CODE_3.length - 1));
+    return units;
+  }
+
+  /**
+   * Treat the buffered bytes as a complete unit. Only valid once the stream has ended.
+   * @returns {Buffer[]}
+   */
+  flush() {
+    const units = [];
+    if (this.synced) this.emit(this.buffer, units);
+    this.buffer = Buffer.alloc(0);
+    this.scanned = 0;
+    return units;
+  }
+
+  emit(payload, units) {
+    const nal = trimTrailingZeros(payload);
+    if (!nal.length) return;
+    units.push(Buffer.concat([START_CODE, nal]));
+    this.units++;
+  }
+
+  notVideo(bytes) {
+    if (this.preamble.length < MAX_PREAMBLE && bytes.length) {
+      this.preamble = (this.preamble + bytes.toString('utf8')).slice(0, MAX_PREAMBLE);
+    }
+  }
+}
+
+module.exports = { AnnexBParser, NAL_TYPES, nalType, codecString };
@@ -0,0 +1,90 @@
+// src/utils/keys.js
+// Key sequences for `input keyevent` / `input keycombination`, and text escaping for `input text`.
+
+const MAX_STEPS = 100;
+const MAX_DELAY_MS = 10000;
+const MAX_TEXT_LENGTH = 5000;
+const MAX_KEYCODE = 1000;
+
+// Modifier names accepted in `meta`, pressed as their left-hand keys
+const META_KEYS = {
+  CTRL: 'KEYCODE_CTRL_LEFT',
+  SHIFT: 'KEYCODE_SHIFT_LEFT',
+  ALT: 'KEYCODE_ALT_LEFT',
+  META: 'KEYCODE_META_LEFT',
+};
+
+function badKeys(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+/**
+ * "home", "KEYCODE_HOME" or 3 -> the argument `input keyevent` takes ("KEYCODE_HOME" / "3").
+ * Names are not checked against a table; the device rejects unknown ones.
+ */
+function normalizeKey(key, field) {
+  if (Number.isInteger(key) && key >= 0 && key <= MAX_KEYCODE) return String(key);
+  if (typeof key === 'string' && /^[A-Za-z0-9_]{1,64}$/.test(key)) {
+    const name = key.toUpperCase();
+    return name.startsWith('KEYCODE_') ? name : `KEYCODE_${name}`;
+  }
+  throw badKeys(`'${field}' must be a key name like 'ENTER' / 'KEYCODE_ENTER' or a keycode number`);
+}
+
+/**
+ * Validate a key sequence. Each step is one of:
+ * - a key: "ENTER", "KEYCODE_ENTER" or 66
+ * - { key, longPress?: boolean, meta?: ["CTRL", "SHIFT", "ALT", "META"] }
+ * - { text } typed like POST /type
+ * - { delayMs } pause before the next step
+ * @returns {object[]} steps as { type: 'key', key, longPress, meta } | { type: 'text', text } | { type: 'delay', ms }
+ */
+function parseKeySequence(keys) {
+  if (!Array.isArray(keys) || keys.length < 1 || keys.length > MAX_STEPS) {
+    throw badKeys(`'keys' must be an array of 1-${MAX_STEPS} steps`);
+  }
+  return keys.map((step, i) => {
+    const where = `keys[${i}]`;
+    if (typeof step === 'string' || typeof step === 'number') {
+      return { type: 'key', key: normalizeKey(step, where), longPress: false, meta: [] };
+    }
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+      throw badKeys(`'${where}' must be a key, or an object with 'key', 'text' or 'delayMs'`);
+    }
+    const kinds = ['key', 'text', 'delayMs'].filter((k) => step[k] !== undefined);
+    if (kinds.length !== 1) throw badKeys(`'${where}' must have exactly one of 'key', 'text' or 'delayMs'`);
+
+    if (step.text !== undefined) {
+      if (typeof step.text !== 'string' || !step.text || step.text.length > MAX_TEXT_LENGTH) {
+        throw badKeys(`'${where}.text' must be a non-empty string of at most ${MAX_TEXT_LENGTH} characters`);
+      }
+      return { type: 'text', text: step.text };
+    }
+    if (step.delayMs !== undefined) {
+      if (!Number.isInteger(step.delayMs) || step.delayMs < 0 || step.delayMs > MAX_DELAY_MS) {
+        throw badKeys(`'${where}.delayMs' must be an integer between 0 and ${MAX_DELAY_MS}`);
+      }
+      return { type: 'delay', ms: step.delayMs };
+    }
+
+    const { longPress = false, meta = [] } = step;
+    if (typeof longPress !== 'boolean') throw badKeys(`'${where}.longPress' must be a boolean`);
+    if (!Array.isArray(meta) || meta.some((m) => typeof m !== 'string' || !META_KEYS[m.toUpperCase()])) {
+      throw badKeys(`'${where}.meta' must be an array of ${Object.keys(META_KEYS).join(', ')}`);
+    }
+    if (longPress && meta.length) throw badKeys(`'${where}' cannot combine 'longPress' and 'meta'`);
+    return {
+      type: 'key',
+      key: normalizeKey(step.key, `${where}.key`),
+      longPress,
+      meta: Array.from(new Set(meta.map((m) => META_KEYS[m.toUpperCase()]))),
+    };
+  });
+}
+
+/** True when `input text` can type the string as is: printable ASCII, tabs and newlines. */
+function isInputTextSafe(text) {
+  return /^[\x20-\x7e\t\n]*$/.test(text);
+}
+
+module.exports = { parseKeySequence, isInputTextSafe };
@@ -0,0 +1,133 @@
+// src/utils/nmea.js
+// NMEA 0183 sentence generation (GGA, GSA, RMC) for feeding fixes to the emulator GPS.
+
+const MPS_TO_KNOTS = 1.94384;
+// Printable ASCII only; no quotes or backslashes since sentences end up in an adb command line
+const SENTENCE_RE = /^\$[A-Z]{5},[^*$'"`\\\x00-\x1F\x7F-\uFFFF]*(\*[0-9A-F]{2})?$/;
+
+/** XOR of all characters between '$' and '*', as two uppercase hex digits. */
+function checksum(body) {
+    let sum = 0;
+    for (let i = 0; i < body.length; i++) sum ^= body.charCodeAt(i);
+    return sum.toString(16).toUpperCase().padStart(2, '0');
+}
+
+function sentence(fields) {
+    const body = fields.join(',');
+    return `$${body}*${checksum(body)}`;
+}
+
+// Decimal degrees -> ddmm.mmmm / dddmm.mmmm + hemisphere
+function coord(value, degWidth, pos, neg) {
+    const minutesTotal = Math.round(Math.abs(value) * 60 * 10000) / 10000;
+    const deg = Math.floor(minutesTotal / 60);
+    const min = minutesTotal - deg * 60;
+    return [`${String(deg).padStart(degWidth, '0')}${min.toFixed(4).padStart(7, '0')}`, value < 0 ? neg : pos];
+}
+
+function utcTime(date) {
+    const hh = String(date.getUTCHours()).padStart(2, '0');
+    const mm = String(date.getUTCMinutes()).padStart(2, '0');
+    const ss = String(date.getUTCSeconds()).padStart(2, '0');
+    const cs = String(Math.floor(date.getUTCMilliseconds() / 10)).padStart(2, '0');
+    return `${hh}${mm}${ss}.${cs}`;
+}
+
+function utcDate(date) {
+    const dd = String(date.getUTCDate()).padStart(2, '0');
+    const mo = String(date.getUTCMonth() + 1).padStart(2, '0');
+    const yy = String(date.getUTCFullYear() % 100).padStart(2, '0');
+    return `${dd}${mo}${yy}`;
+}
+
+function fixDefaults(fix) {
+    const satellites = Math.max(0, Math.min(12, Math.round(fix.satellites ?? 8)));
+    return {
+        ...fix,
+        date: new Date(fix.time ?? Date.now()),
+        satellites,
+        hdop: fix.hdop ?? 0.9,
+        vdop: fix.vdop ?? 1.2,
+        pdop: fix.pdop ?? 1.5,
+    };
+}
+
+/** $GPRMC: time, status, position, speed over ground (knots), course, date. */
+function rmc(fix) {
+    const f = fixDefaults(fix);
+    const speedKnots = Math.max(0, Number(f.speed) || 0) * MPS_TO_KNOTS;
+    const course = (((Number(f.bearing) || 0) % 360) + 360) % 360;
+    return sentence([
+        'GPRMC',
+        utcTime(f.date),
+        'A',
+        ...coord(f.lat, 2, 'N', 'S'),
+        ...coord(f.lon, 3, 'E', 'W'),
+        speedKnots.toFixed(2),
+        course.toFixed(2),
+        utcDate(f.date),
+        '', '',
+        'A',
+    ]);
+}
+
+/** $GPGGA: time, position, fix quality, satellites in use, HDOP, altitude (MSL). */
+function gga(fix) {
+    const f = fixDefaults(fix);
+    const altitude = Number.isFinite(f.altitude) ? f.altitude.toFixed(1) : '0.0';
+    return sentence([
+        'GPGGA',
+        utcTime(f.date),
+        ...coord(f.lat, 2, 'N', 'S'),
+        ...coord(f.lon, 3, 'E', 'W'),
+        f.satellites > 0 ? '1' : '0',
+        String(f.satellites).padStart(2, '0'),
+        f.hdop.toFixed(1),
+        altitude, 'M',
+        '0.0', 'M',
+        '', '',
+    ]);
+}
+
+/** $GPGSA: auto mode, 3D fix, PRNs of the satellites in use (12 slots), PDOP/HDOP/VDOP. */
+function gsa(fix) {
+    const f = fixDefaults(fix);
+    const prns = Array.from({ length: 12 }, (_, i) => (i < f.satellites ? String(i + 1).padStart(2, '0') : ''));
+    return sentence([
+        'GPGSA',
+        'A',
+        f.satellites >= 4 ? '3' : f.satellites > 0 ? '2' : '1',
+        ...prns,
+        f.pdop.toFixed(1),
+        f.hdop.toFixed(1),
+        f.vdop.toFixed(1),
+    ]);
+}
+
+/**
+ * Build the sentences describing one fix.
+ * @param {{lat: number, lon: number, altitude?: number, speed?: number, bearing?: number,
+ *   time?: number, satellites?: number, hdop?: number, pdop?: number, vdop?: number}} fix
+ *   speed in m/s, bearing in degrees, time as epoch ms (defaults to now)
+ * @param {string[]} [types] any of 'GGA', 'GSA', 'RMC'
+ * @returns {string[]}
+ */
+function fixSentences(fix, types = ['GGA', 'GSA', 'RMC']) {
+    const builders = { GGA: gga, GSA: gsa, RMC: rmc };
+    return types.map((t) => builders[String(t).toUpperCase()]).filter(Boolean).map((build) => build(fix));
+}
+
+/**
+ * Validate a caller-provided sentence; appends the checksum when it is missing.
+ * @returns {string|null} the normalized sentence, or null if it is not valid NMEA
+ */
+function normalizeSentence(raw) {
+    const s = String(raw || '').trim();
+    const m = s.match(SENTENCE_RE);
+    if (!m) return null;
+    if (!m[1]) return `${s}*${checksum(s.slice(1))}`;
+    const star = s.lastIndexOf('*');
+    return checksum(s.slice(1, star)) === s.slice(star + 1) ? s : null;
+}
+
+module.exports = { checksum, rmc, gga, gsa, fixSentences, normalizeSentence };
@@ -0,0 +1,256 @@
+// src/utils/routeInterpolator.js
+// Turns a sparse polyline into evenly timed GPS fixes that move at a realistic speed.
+
+const EARTH_RADIUS_M = 6371008.8;
+const PROFILES = ['constant', 'segments', 'limits'];
+const MAX_FIXES = 200000;
+// Finer pieces only add points: GPS itself is not more precise than this
+const MIN_RESOLUTION_M = 0.1;
+
+const toRad = (d) => (d * Math.PI) / 180;
+const toDeg = (r) => (r * 180) / Math.PI;
+
+function badInput(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+/** Great-circle distance in meters. */
+function distance(a, b) {
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/** Initial bearing from a to b, degrees clockwise from north in [0, 360). */
+function bearing(a, b) {
+  const y = Math.sin(toRad(b.lon - a.lon)) * Math.cos(toRad(b.lat));
+  const x = Math.cos(toRad(a.lat)) * Math.sin(toRad(b.lat))
+    - Math.sin(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.cos(toRad(b.lon - a.lon));
+  return (toDeg(Math.atan2(y, x)) + 360) % 360;
+}
+
+// Linear interpolation is accurate enough over the few meters between generated fixes
+function lerpPoint(a, b, f) {
+  const p = { lat: a.lat + (b.lat - a.lat) * f, lon: a.lon + (b.lon - a.lon) * f };
+  if (Number.isFinite(a.ele) && Number.isFinite(b.ele)) p.ele = a.ele + (b.ele - a.ele) * f;
+  return p;
+}
+
+// Move a point by north/east offsets in meters
+function offset(p, northM, eastM) {
+  return {
+    ...p,
+    lat: p.lat + toDeg(northM / EARTH_RADIUS_M),
+    lon: p.lon + toDeg(eastM / (EARTH_RADIUS_M * Math.cos(toRad(p.lat)))),
+  };
+}
+
+// Small seeded PRNG (mulberry32) so noisy runs can be reproduced in tests
+function rng(seed) {
+  if (seed === undefined) return Math.random;
+  let s = Number(seed) >>> 0;
+  return () => {
+    s = (s + 0x6D2B79F5) >>> 0;
+    let t = s;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function gaussian(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Split the route into short pieces (at most `resolutionM` long) so speed can vary
+ * smoothly along long straight segments. `segment` is the index of the original segment.
+ */
+function densify(points, resolutionM) {
+  const pieces = [];
+  for (let i = 0; i + 1 < points.length; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    const len = distance(a, b);
+    if (len === 0) continue;
+    const n = Math.max(1, Math.ceil(len / resolutionM));
+    const brg = bearing(a, b);
+    for (let k = 0; k < n; k++) {
+      pieces.push({
+        from: lerpPoint(a, b, k / n),
+        to: lerpPoint(a, b, (k + 1) / n),
+        length: len / n,
+        bearing: brg,
+        segment: i,
+      });
+    }
+  }
+  return pieces;
+}
+
+// Cornering speed from the turn angle between two segments: fit a circular arc whose
+// tangent points sit half-way along the shorter segment, then v = sqrt(a_lat * r).
+function cornerSpeed(inLen, outLen, turnDeg, maxLateralAccel) {
+  const theta = toRad(Math.min(179, Math.abs(turnDeg)));
+  if (theta < 1e-3) return Infinity;
+  const radius = (Math.min(inLen, outLen) / 2) / Math.tan(theta / 2);
+  return Math.sqrt(maxLateralAccel * radius);
+}
+
+/**
+ * Per-piece speeds for a "speed-limit-like" drive: cruise on straights, slow into
+ * corners, and respect an acceleration limit when speeding up and braking.
+ */
+function limitSpeeds(points, pieces, { speedMps, minSpeedMps, maxAccelMps2, maxLateralAccelMps2 }) {
+  // Speed cap at each original vertex (start and end of the route included)
+  const caps = points.map(() => speedMps);
+  caps[0] = minSpeedMps;
+  caps[points.length - 1] = minSpeedMps;
+  for (let i = 1; i + 1 < points.length; i++) {
+    const inLen = distance(points[i - 1], points[i]);
+    const outLen = distance(points[i], points[i + 1]);
+    if (inLen === 0 || outLen === 0) continue;
+    let turn = bearing(points[i], points[i + 1]) - bearing(points[i - 1], points[i]);
+    turn = ((turn + 540) % 360) - 180;
+    caps[i] = Math.max(minSpeedMps, Math.min(speedMps, cornerSpeed(inLen, outLen, turn, maxLateralAccelMps2)));
+  }
+
+  // Speeds at piece boundaries: v[k] is the speed entering piece k, v[n] at the end
+  const n = pieces.length;
+  const v = new Array(n + 1).fill(speedMps);
+  v[0] = caps[0];
+  v[n] = caps[points.length - 1];
+  for (let k = 1; k < n; k++) {
+    if (pieces[k].segment !== pieces[k - 1].segment) v[k] = caps[pieces[k].segment];
+  }
+  // Forward pass (acceleration), then backward pass (braking): v1^2 <= v0^2 + 2*a*d
+  for (let k = 1; k <= n; k++) {
+    v[k] = Math.min(v[k], Math.sqrt(v[k - 1] ** 2 + 2 * maxAccelMps2 * pieces[k - 1].length));
+  }
+  for (let k = n - 1; k >= 0; k--) {
+    v[k] = Math.min(v[k], Math.sqrt(v[k + 1] ** 2 + 2 * maxAccelMps2 * pieces[k].length));
+  }
+  return pieces.map((_, k) => Math.max(minSpeedMps, (v[k] + v[k + 1]) / 2));
+}
+
+function pieceSpeeds(points, pieces, opts) {
+  if (opts.profile === 'constant') return pieces.map(() => opts.speedMps);
+  if (opts.profile === 'segments') {
+    // Explicit per-segment speeds, else the speed recorded on the segment's start point
+    return pieces.map((p) => {
+      const s = opts.segmentSpeeds?.[p.segment] ?? points[p.segment].speed ?? opts.speedMps;
+      return Math.max(opts.minSpeedMps, Number(s));
+    });
+  }
+  return limitSpeeds(points, pieces, opts);
+}
+
+function applyNoise(fixes, noise) {
+  const random = rng(noise.seed);
+  const { positionSigmaM = 0, speedSigmaMps = 0, bearingSigmaDeg = 0, jitterMs = 0 } = noise;
+  let prevTime = -Infinity;
+  return fixes.map((f) => {
+    let p = { ...f };
+    if (positionSigmaM > 0) p = offset(p, gaussian(random) * positionSigmaM, gaussian(random) * positionSigmaM);
+    if (speedSigmaMps > 0) p.speed = Math.max(0, p.speed + gaussian(random) * speedSigmaMps);
+    if (bearingSigmaDeg > 0) p.bearing = (((p.bearing + gaussian(random) * bearingSigmaDeg) % 360) + 360) % 360;
+    if (jitterMs > 0) p.time = Math.max(prevTime, Math.round(p.time + (random() * 2 - 1) * jitterMs));
+    prevTime = p.time;
+    return p;
+  });
+}
+
+/**
+ * Validate interpolation/noise options and fill in defaults.
+ */
+function normalizeOptions(interpolation = {}, noise) {
+  const opts = {
+    profile: interpolation.profile || 'constant',
+    speedMps: interpolation.speedMps ?? (interpolation.speedKmh !== undefined ? interpolation.speedKmh / 3.6 : 13.9),
+    segmentSpeeds: interpolation.segmentSpeeds,
+    stepMs: interpolation.stepMs ?? 1000,
+    resolutionM: interpolation.resolutionM ?? 10,
+    minSpeedMps: interpolation.minSpeedMps ?? 1,
+    maxAccelMps2: interpolation.maxAccelMps2 ?? 2,
+    maxLateralAccelMps2: interpolation.maxLateralAccelMps2 ?? 3,
+  };
+  if (!PROFILES.includes(opts.profile)) {
+    throw badInput(`'interpolation.profile' must be one of ${PROFILES.join(', ')}`);
+  }
+  for (const key of ['speedMps', 'stepMs', 'resolutionM', 'minSpeedMps', 'maxAccelMps2', 'maxLateralAccelMps2']) {
+    if (typeof opts[key] !== 'number' || !(opts[key] > 0)) {
+      throw badInput(`'interpolation.${key}' must be a positive number`);
+    }
+  }
+  if (opts.resolutionM < MIN_RESOLUTION_M) {
+    throw badInput(`'interpolation.resolutionM' must be at least ${MIN_RESOLUTION_M} m`);
+  }
+  if (opts.segmentSpeeds !== undefined
+    && (!Array.isArray(opts.segmentSpeeds) || opts.segmentSpeeds.some((s) => typeof s !== 'number' || s <= 0))) {
+    throw badInput("'interpolation.segmentSpeeds' must be an array of positive numbers (m/s)");
+  }
+  if (noise !== undefined) {
+    if (!noise || typeof noise !== 'object') throw badInput("'noise' must be an object");
+    for (const key of ['positionSigmaM', 'speedSigmaMps', 'bearingSigmaDeg', 'jitterMs']) {
+      if (noise[key] !== undefined && (typeof noise[key] !== 'number' || noise[key] < 0)) {
+        throw badInput(`'noise.${key}' must be a non-negative number`);
+      }
+    }
+  }
+  return opts;
+}
+
+/**
+ * Resample a route into fixes every `stepMs` of simulated driving time.
+ * Each fix carries lat/lon, interpolated ele, bearing (deg), speed (m/s) and a relative
+ * `time` (ms) so ActionEngine.simulateRoute replays it with timestamp spacing.
+ * @param {{lat: number, lon: number, ele?: number, speed?: number}[]} points
+ * @param {object} [interpolation] profile ('constant' | 'segments' | 'limits'), speedMps | speedKmh,
+ *   segmentSpeeds, stepMs, resolutionM, minSpeedMps, maxAccelMps2, maxLateralAccelMps2
+ * @param {object} [noise] positionSigmaM, speedSigmaMps, bearingSigmaDeg, jitterMs, seed
+ */
+function interpolateRoute(points, interpolation, noise) {
+  const opts = normalizeOptions(interpolation, noise);
+  // Checked before densify allocates a piece per resolutionM
+  let length = 0;
+  for (let i = 0; i + 1 < points.length; i++) length += distance(points[i], points[i + 1]);
+  if (length / opts.resolutionM > MAX_FIXES) {
+    throw badInput(`Route would be split into more than ${MAX_FIXES} pieces; increase 'interpolation.resolutionM'`);
+  }
+  const pieces = densify(points, opts.resolutionM);
+  if (pieces.length === 0) {
+    const only = points[0];
+    return only ? [{ ...only, time: 0, speed: 0, bearing: 0 }] : [];
+  }
+  const speeds = pieceSpeeds(points, pieces, opts);
+
+  // Cumulative time at the start of each piece
+  const starts = [];
+  let total = 0;
+  pieces.forEach((p, k) => {
+    starts.push(total);
+    total += (p.length / speeds[k]) * 1000;
+  });
+  if (total / opts.stepMs > MAX_FIXES) {
+    throw badInput(`Route would produce more than ${MAX_FIXES} fixes; increase 'interpolation.stepMs'`);
+  }
+
+  const fixes = [];
+  let k = 0;
+  for (let t = 0; t < total; t += opts.stepMs) {
+    while (k + 1 < pieces.length && starts[k + 1] <= t) k++;
+    const piece = pieces[k];
+    const f = (t - starts[k]) / ((piece.length / speeds[k]) * 1000);
+    fixes.push({ ...lerpPoint(piece.from, piece.to, f), bearing: piece.bearing, speed: speeds[k], time: Math.round(t) });
+  }
+  const last = pieces[pieces.length - 1];
+  fixes.push({ ...last.to, bearing: last.bearing, speed: speeds[speeds.length - 1], time: Math.round(total) });
+
+  return noise ? applyNoise(fixes, noise) : fixes;
+}
+
+module.exports = { interpolateRoute, normalizeOptions, distance, bearing };
@@ -0,0 +1,56 @@
+// src/utils/screenrecord.js
+// Options and argv for the device's `screenrecord`.
+
+const MIN_BIT_RATE = 100000;
+const MAX_BIT_RATE = 200000000;
+const MIN_SIZE = 16;
+const MAX_SIZE = 4096;
+// screenrecord stops by itself after this long; longer captures chain several runs
+const MAX_SEGMENT_SECONDS = 180;
+
+function badOption(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+/**
+ * Validate screenrecord options. Values may be strings (query parameters).
+ * - bitRate: bits per second, 100000-200000000 (the device default when omitted)
+ * - size: "WIDTHxHEIGHT" of the video (the display size when omitted)
+ * @returns {{bitRate?: number, size?: string}}
+ */
+function parseScreenrecordOptions({ bitRate, size } = {}) {
+  const options = {};
+  if (bitRate !== undefined) {
+    const n = Number(bitRate);
+    if (!Number.isInteger(n) || n < MIN_BIT_RATE || n > MAX_BIT_RATE) {
+      throw badOption(`'bitRate' must be an integer between ${MIN_BIT_RATE} and ${MAX_BIT_RATE} (bits per second)`);
+    }
+    options.bitRate = n;
+  }
+  if (size !== undefined) {
+    const m = String(size).match(/^(\d{1,4})x(\d{1,4})$/);
+    if (!m || [m[1], m[2]].some((v) => Number(v) < MIN_SIZE || Number(v) > MAX_SIZE)) {
+      throw badOption(`'size' must be 'WIDTHxHEIGHT' with each side between ${MIN_SIZE} and ${MAX_SIZE}`);
+    }
+    options.size = `${Number(m[1])}x${Number(m[2])}`;
+  }
+  return options;
+}
+
+/**
+ * argv for one screenrecord run.
+ * @param {{bitRate?: number, size?: string}} options from parseScreenrecordOptions
+ * @param {{output: string, format?: 'mp4'|'h264', timeLimit?: number}} target output '-' is stdout (h264 only)
+ * @returns {string[]}
+ */
+function screenrecordArgs({ bitRate, size } = {}, { output, format = 'mp4', timeLimit } = {}) {
+  const args = ['screenrecord'];
+  if (format !== 'mp4') args.push(`--output-format=${format}`);
+  if (bitRate) args.push('--bit-rate', String(bitRate));
+  if (size) args.push('--size', size);
+  if (timeLimit) args.push('--time-limit', String(Math.min(timeLimit, MAX_SEGMENT_SECONDS)));
+  args.push(output);
+  return args;
+}
+
+module.exports = { parseScreenrecordOptions, screenrecordArgs, MAX_SEGMENT_SECONDS };
@@ -0,0 +1,143 @@
+// src/utils/screenshot.js
+// Decode `screencap` raw frames and encode them in-process (format, scaling, cropping).
+
+const sharp = require('sharp');
+
+// android.graphics.PixelFormat values screencap writes in its header
+const PIXEL_FORMATS = {
+  1: { name: 'RGBA_8888', bpp: 4 },
+  2: { name: 'RGBX_8888', bpp: 4 },
+  3: { name: 'RGB_888', bpp: 3 },
+  4: { name: 'RGB_565', bpp: 2 },
+  5: { name: 'BGRA_8888', bpp: 4 },
+};
+// width, height, format; Android 8+ adds a dataspace word
+const HEADER_SIZES = [12, 16];
+
+const FORMATS = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  raw: 'application/octet-stream',
+};
+const MAX_DIMENSION = 8192;
+
+function badOption(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+/**
+ * Parse `screencap` (no -p) output into RGBA pixels.
+ * @param {Buffer} buffer
+ * @returns {{width: number, height: number, data: Buffer}} data is width*height*4 bytes of RGBA
+ */
+function parseRawScreencap(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+    throw Object.assign(new Error('screencap returned no image data'), { status: 502 });
+  }
+  const width = buffer.readUInt32LE(0);
+  const height = buffer.readUInt32LE(4);
+  const format = PIXEL_FORMATS[buffer.readUInt32LE(8)];
+  const pixels = width * height;
+  const header = format && HEADER_SIZES.find((h) => buffer.length - h === pixels * format.bpp);
+  if (!format || !pixels || header === undefined) {
+    throw Object.assign(new Error(
+      `Unsupported screencap output (${width}x${height}, format ${buffer.readUInt32LE(8)}, ${buffer.length} bytes)`,
+    ), { status: 502 });
+  }
+  const src = buffer.subarray(header);
+  if (format.name === 'RGBA_8888') return { width, height, data: src };
+
+  const data = Buffer.allocUnsafe(pixels * 4);
+  for (let i = 0, o = 0; i < pixels; i++, o += 4) {
+    if (format.name === 'RGBX_8888') {
+      src.copy(data, o, i * 4, i * 4 + 3);
+    } else if (format.name === 'BGRA_8888') {
+      data[o] = src[i * 4 + 2];
+      data[o + 1] = src[i * 4 + 1];
+      data[o + 2] = src[i * 4];
+    } else if (format.name === 'RGB_888') {
+      src.copy(data, o, i * 3, i * 3 + 3);
+    } else {
+      const v = src.readUInt16LE(i * 2);
+      data[o] = ((v >> 11) & 0x1f) * 255 / 31;
+      data[o + 1] = ((v >> 5) & 0x3f) * 255 / 63;
+      data[o + 2] = (v & 0x1f) * 255 / 31;
+    }
+    data[o + 3] = 255;
+  }
+  return { width, height, data };
+}
+
+function parseDimension(value, field) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1 || n > MAX_DIMENSION) {
+    throw badOption(`'${field}' must be an integer between 1 and ${MAX_DIMENSION}`);
+  }
+  return n;
+}
+
+/**
+ * Validate screenshot query options. All values may be strings (query parameters).
+ * - format: png (default) | jpeg | webp | raw (RGBA bytes)
+ * - quality: 1-100, jpeg and webp only
+ * - maxWidth / maxHeight: scale down to fit, keeping the aspect ratio
+ * - region: "x,y,width,height" in screen pixels, cropped before scaling
+ * @returns {{format: string, quality?: number, maxWidth?: number, maxHeight?: number,
+ *   region?: {x: number, y: number, width: number, height: number}}}
+ */
+function parseScreenshotOptions(query = {}, { defaultFormat = 'png' } = {}) {
+  const options = { format: query.format === undefined ? defaultFormat : String(query.format).toLowerCase() };
+  if (options.format === 'jpg') options.format = 'jpeg';
+  if (!FORMATS[options.format]) throw badOption(`'format' must be one of ${Object.keys(FORMATS).join(', ')}`);
+  if (query.quality !== undefined) {
+    if (!['jpeg', 'webp'].includes(options.format)) throw badOption("'quality' applies to jpeg and webp only");
+    const q = Number(query.quality);
+    if (!Number.isInteger(q) || q < 1 || q > 100) throw badOption("'quality' must be an integer between 1 and 100");
+    options.quality = q;
+  }
+  if (query.maxWidth !== undefined) options.maxWidth = parseDimension(query.maxWidth, 'maxWidth');
+  if (query.maxHeight !== undefined) options.maxHeight = parseDimension(query.maxHeight, 'maxHeight');
+  if (query.region !== undefined) {
+    const parts = String(query.region).split(',').map(Number);
+    if (parts.length !== 4 || parts.some((n) => !Number.isInteger(n) || n < 0) || parts[2] < 1 || parts[3] < 1) {
+      throw badOption("'region' must be 'x,y,width,height' in screen pixels");
+    }
+    const [x, y, width, height] = parts;
+    options.region = { x, y, width, height };
+  }
+  return options;
+}
+
+/** True when the options ask for anything but the default full-size PNG. */
+function hasScreenshotOptions(query = {}) {
+  return ['format', 'quality', 'maxWidth', 'maxHeight', 'region'].some((k) => query[k] !== undefined);
+}
+
+/**
+ * Encode an RGBA frame.
+ * @param {{width: number, height: number, data: Buffer}} image from parseRawScreencap
+ * @param {object} options from parseScreenshotOptions
+ * @returns {Promise<{buffer: Buffer, contentType: string, width: number, height: number}>}
+ */
+async function encodeScreenshot(image, { format = 'png', quality, maxWidth, maxHeight, region } = {}) {
+  let pipeline = sharp(image.data, { raw: { width: image.width, height: image.height, channels: 4 } });
+  if (region) {
+    if (region.x + region.width > image.width || region.y + region.height > image.height) {
+      throw badOption(`'region' exceeds the ${image.width}x${image.height} screen`);
+    }
+    pipeline = pipeline.extract({ left: region.x, top: region.y, width: region.width, height: region.height });
+  }
+  if (maxWidth || maxHeight) {
+    pipeline = pipeline.resize({ width: maxWidth, height: maxHeight, fit: 'inside', withoutEnlargement: true });
+  }
+  if (format === 'raw') pipeline = pipeline.ensureAlpha().raw();
+  else if (format === 'jpeg') pipeline = pipeline.jpeg({ quality: quality || 80 });
+  else if (format === 'webp') pipeline = pipeline.webp({ quality: quality || 80 });
+  // Screens are opaque and speed matters more than a few percent of size
+  else pipeline = pipeline.removeAlpha().png({ compressionLevel: 3 });
+  const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+  return { buffer: data, contentType: FORMATS[format], width: info.width, height: info.height };
+}
+
+module.exports = { parseRawScreencap, parseScreenshotOptions, hasScreenshotOptions, encodeScreenshot };
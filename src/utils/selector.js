@@ -0,0 +1,161 @@
+// src/utils/selector.js
+// Element selectors over a parsed uiautomator dump (see uiHierarchy.js).
+
+const xpath = require('xpath');
+const { DOMParser } = require('@xmldom/xmldom');
+const { flatten, extractHierarchyXml, FLAG_FILTERS } = require('./uiHierarchy');
+
+// Attribute matchers: exact value, case-insensitive substring, regular expression
+const ATTRIBUTES = {
+  text: ['text', 'textContains', 'textMatches'],
+  resourceId: ['resourceId', 'resourceIdContains', 'resourceIdMatches'],
+  contentDesc: ['contentDesc', 'contentDescContains', 'contentDescMatches'],
+  class: ['class', 'classContains', 'classMatches'],
+  package: ['package', 'packageContains', 'packageMatches'],
+};
+const RELATIONS = ['parent', 'ancestor', 'child', 'descendant', 'sibling'];
+const KNOWN_KEYS = new Set([...Object.values(ATTRIBUTES).flat(), ...FLAG_FILTERS, ...RELATIONS, 'xpath']);
+const MAX_DEPTH = 5;
+const MAX_PATTERN_LENGTH = 256;
+
+function badSelector(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// "pattern" or "/pattern/flags"
+function toRegExp(value, field) {
+  if (typeof value !== 'string' || !value || value.length > MAX_PATTERN_LENGTH) {
+    throw badSelector(`'${field}' must be a regular expression of at most ${MAX_PATTERN_LENGTH} characters`);
+  }
+  const literal = value.match(/^\/(.+)\/([imsu]*)$/);
+  try {
+    return literal ? new RegExp(literal[1], literal[2]) : new RegExp(value);
+  } catch (e) {
+    throw badSelector(`'${field}' is not a valid regular expression: ${e.message}`);
+  }
+}
+
+// Path of a DOM <node> element in the same "0/2/1" form as uiHierarchy node paths
+function domPath(el) {
+  const parts = [];
+  for (let cur = el; cur && cur.nodeName === 'node'; cur = cur.parentNode) {
+    let i = 0;
+    for (let sib = cur.previousSibling; sib; sib = sib.previousSibling) {
+      if (sib.nodeType === 1 && sib.nodeName === 'node') i++;
+    }
+    parts.unshift(i);
+  }
+  return parts.join('/');
+}
+
+function compile(selector, ctx, where, depth) {
+  if (!selector || typeof selector !== 'object' || Array.isArray(selector)) {
+    throw badSelector(`'${where}' must be an object`);
+  }
+  if (depth > MAX_DEPTH) throw badSelector(`Selectors can be nested at most ${MAX_DEPTH} levels deep`);
+  const keys = Object.keys(selector);
+  if (keys.length === 0) throw badSelector(`'${where}' must have at least one condition`);
+  const unknown = keys.find((k) => !KNOWN_KEYS.has(k));
+  if (unknown) throw badSelector(`Unknown selector key '${where}.${unknown}'`);
+
+  const tests = [];
+  for (const [attr, [exact, contains, matches]] of Object.entries(ATTRIBUTES)) {
+    if (selector[exact] !== undefined) {
+      if (typeof selector[exact] !== 'string') throw badSelector(`'${where}.${exact}' must be a string`);
+      tests.push((n) => n[attr] === selector[exact]);
+    }
+    if (selector[contains] !== undefined) {
+      if (typeof selector[contains] !== 'string') throw badSelector(`'${where}.${contains}' must be a string`);
+      const needle = selector[contains].toLowerCase();
+      tests.push((n) => n[attr].toLowerCase().includes(needle));
+    }
+    if (selector[matches] !== undefined) {
+      const re = toRegExp(selector[matches], `${where}.${matches}`);
+      tests.push((n) => re.test(n[attr]));
+    }
+  }
+  for (const flag of FLAG_FILTERS) {
+    if (selector[flag] === undefined) continue;
+    if (typeof selector[flag] !== 'boolean') throw badSelector(`'${where}.${flag}' must be a boolean`);
+    tests.push((n) => n[flag] === selector[flag]);
+  }
+  if (selector.xpath !== undefined) {
+    const matched = ctx.xpath(selector.xpath, `${where}.xpath`);
+    tests.push((n) => matched.has(n));
+  }
+
+  const related = (rel) => compile(selector[rel], ctx, `${where}.${rel}`, depth + 1);
+  if (selector.parent !== undefined) {
+    const p = related('parent');
+    tests.push((n) => Boolean(n.parent) && p(n.parent));
+  }
+  if (selector.ancestor !== undefined) {
+    const p = related('ancestor');
+    tests.push((n) => {
+      for (let a = n.parent; a; a = a.parent) if (p(a)) return true;
+      return false;
+    });
+  }
+  if (selector.child !== undefined) {
+    const p = related('child');
+    tests.push((n) => n.children.some(p));
+  }
+  if (selector.descendant !== undefined) {
+    const p = related('descendant');
+    tests.push((n) => flatten(n.children).some(p));
+  }
+  if (selector.sibling !== undefined) {
+    const p = related('sibling');
+    tests.push((n) => (n.parent ? n.parent.children : ctx.roots).some((s) => s !== n && p(s)));
+  }
+  return (node) => tests.every((t) => t(node));
+}
+
+/**
+ * Nodes matching a selector, in document order.
+ *
+ * A selector is an object whose conditions must all hold:
+ * - text | resourceId | contentDesc | class | package: exact match; add `Contains` for a
+ *   case-insensitive substring or `Matches` for a regex ("pattern" or "/pattern/flags")
+ * - clickable, enabled, checked, ...: boolean flags
+ * - xpath: XPath 1.0 over the raw dump, e.g. "//node[@resource-id='com.app:id/ok']"
+ * - parent | ancestor | child | descendant | sibling: nested selector the related node must match
+ *
+ * @param {{nodes: object[]}} tree parsed dump (parseUiXml)
+ * @param {string} xml the raw dump, needed for xpath
+ * @param {object} selector
+ * @returns {object[]}
+ */
+function selectNodes(tree, xml, selector) {
+  const all = flatten(tree.nodes);
+  let doc;
+  let byPath;
+  const ctx = {
+    roots: tree.nodes,
+    xpath(expr, field) {
+      if (typeof expr !== 'string' || !expr.trim()) throw badSelector(`'${field}' must be an XPath expression`);
+      if (!doc) {
+        doc = new DOMParser().parseFromString(extractHierarchyXml(xml), 'text/xml');
+        byPath = new Map(all.map((n) => [n.path, n]));
+      }
+      let result;
+      try {
+        result = xpath.select(expr, doc);
+      } catch (e) {
+        throw badSelector(`'${field}' is not a valid XPath expression: ${e.message}`);
+      }
+      const matched = new Set();
+      for (const el of Array.isArray(result) ? result : []) {
+        if (el.nodeType === 1 && el.nodeName === 'node') {
+          const node = byPath.get(domPath(el));
+          if (node) matched.add(node);
+        }
+      }
+      return matched;
+    },
+  };
+  const predicate = compile(selector, ctx, 'selector', 0);
+  return all.filter(predicate);
+}
+
+module.exports = { selectNodes, toRegExp };
@@ -0,0 +1,9 @@
+// src/utils/shell.js
+// Building command lines for the device's sh (adb shell).
+
+/** Quote a string as one word for the device's sh. */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+module.exports = { shellQuote };
@@ -0,0 +1,289 @@
+// src/utils/trackParser.js
+const { XMLParser } = require('fast-xml-parser');
+
+const KNOTS_TO_MPS = 0.514444;
+const FORMATS = ['gpx', 'kml', 'geojson', 'nmea'];
+
+function badInput(message) {
+    return Object.assign(new Error(message), { status: 400 });
+}
+
+function toArray(v) {
+    if (v === undefined || v === null) return [];
+    return Array.isArray(v) ? v : [v];
+}
+
+function num(v) {
+    if (v === undefined || v === null || v === '') return undefined;
+    const n = Number(typeof v === 'object' ? v['#text'] : v);
+    return Number.isFinite(n) ? n : undefined;
+}
+
+function time(v) {
+    if (v === undefined || v === null || v === '') return undefined;
+    const t = Date.parse(typeof v === 'object' ? v['#text'] : v);
+    return Number.isFinite(t) ? t : undefined;
+}
+
+/**
+ * Build a normalized track point, dropping fields that are not present.
+ * @returns {{lat: number, lon: number, ele?: number, time?: number, speed?: number, bearing?: number}}
+ */
+function point(lat, lon, { ele, time: t, speed, bearing } = {}) {
+    const p = { lat, lon };
+    if (ele !== undefined) p.ele = ele;
+    if (t !== undefined) p.time = t;
+    if (speed !== undefined) p.speed = speed;
+    if (bearing !== undefined) p.bearing = bearing;
+    return p;
+}
+
+function xmlParser() {
+    return new XMLParser({
+        ignoreAttributes: false,
+        attributeNamePrefix: '',
+        removeNSPrefix: true,
+        parseTagValue: false,
+    });
+}
+
+// Speed lives in <speed> (GPX 1.0) or in a vendor extension such as <gpxtpx:speed>
+function findSpeed(node) {
+    if (!node || typeof node !== 'object') return undefined;
+    if (node.speed !== undefined) return num(node.speed);
+    for (const child of Object.values(node)) {
+        if (child && typeof child === 'object') {
+            const s = findSpeed(child);
+            if (s !== undefined) return s;
+        }
+    }
+    return undefined;
+}
+
+function parseGpx(text) {
+    const doc = xmlParser().parse(text);
+    const gpx = doc.gpx;
+    if (!gpx) throw badInput('Invalid GPX: missing <gpx> root');
+
+    const toPoint = (pt) => point(Number(pt.lat), Number(pt.lon), {
+        ele: num(pt.ele),
+        time: time(pt.time),
+        speed: findSpeed(pt.speed !== undefined ? pt : pt.extensions),
+        bearing: num(pt.course),
+    });
+
+    const trackPoints = toArray(gpx.trk)
+        .flatMap((trk) => toArray(trk.trkseg))
+        .flatMap((seg) => toArray(seg.trkpt));
+    if (trackPoints.length > 0) return trackPoints.map(toPoint);
+
+    const routePoints = toArray(gpx.rte).flatMap((rte) => toArray(rte.rtept));
+    if (routePoints.length > 0) return routePoints.map(toPoint);
+
+    return toArray(gpx.wpt).map(toPoint);
+}
+
+function collectKml(node, out) {
+    if (!node || typeof node !== 'object') return out;
+    for (const [key, value] of Object.entries(node)) {
+        if (key === 'LineString') {
+            for (const ls of toArray(value)) {
+                const coords = typeof ls === 'object' ? ls.coordinates : undefined;
+                const tuples = String(coords || '').trim().split(/\s+/).filter(Boolean);
+                for (const t of tuples) {
+                    const [lon, lat, alt] = t.split(',').map(Number);
+                    out.push(point(lat, lon, { ele: Number.isFinite(alt) ? alt : undefined }));
+                }
+            }
+        } else if (key === 'Track') {
+            // <gx:Track> pairs each <when> with a "lon lat alt" <gx:coord>
+            for (const track of toArray(value)) {
+                const whens = toArray(track.when);
+                toArray(track.coord).forEach((c, i) => {
+                    const [lon, lat, alt] = String(c).trim().split(/\s+/).map(Number);
+                    out.push(point(lat, lon, {
+                        ele: Number.isFinite(alt) ? alt : undefined,
+                        time: time(whens[i]),
+                    }));
+                });
+            }
+        } else if (value && typeof value === 'object') {
+            for (const child of toArray(value)) collectKml(child, out);
+        }
+    }
+    return out;
+}
+
+function parseKml(text) {
+    const doc = xmlParser().parse(text);
+    if (!doc.kml) throw badInput('Invalid KML: missing <kml> root');
+    return collectKml(doc.kml, []);
+}
+
+function geoJsonLines(geometry, properties = {}) {
+    if (!geometry || typeof geometry !== 'object') return [];
+    const { type, coordinates } = geometry;
+    if (type === 'LineString') {
+        if (!Array.isArray(coordinates)) throw badInput('Invalid GeoJSON: LineString coordinates must be an array of positions');
+        return [{ coords: coordinates, properties }];
+    }
+    if (type === 'MultiLineString') {
+        if (!Array.isArray(coordinates) || !coordinates.every(Array.isArray)) {
+            throw badInput('Invalid GeoJSON: MultiLineString coordinates must be an array of position arrays');
+        }
+        return coordinates.map((coords, i) => ({ coords, properties, part: i }));
+    }
+    if (geometry.type === 'GeometryCollection') {
+        return toArray(geometry.geometries).flatMap((g) => geoJsonLines(g, properties));
+    }
+    return [];
+}
+
+function parseGeoJson(input) {
+    let doc = input;
+    if (typeof input === 'string') {
+        try {
+            doc = JSON.parse(input);
+        } catch (e) {
+            throw badInput(`Invalid GeoJSON: ${e.message}`);
+        }
+    }
+    if (!doc || typeof doc !== 'object') throw badInput('Invalid GeoJSON');
+
+    let lines;
+    if (doc.type === 'FeatureCollection') {
+        lines = toArray(doc.features).flatMap((f) => geoJsonLines(f?.geometry, f?.properties || {}));
+    } else if (doc.type === 'Feature') {
+        lines = geoJsonLines(doc.geometry, doc.properties || {});
+    } else {
+        lines = geoJsonLines(doc);
+    }
+
+    // Timestamps follow the togeojson conventions: properties.coordTimes or
+    // properties.coordinateProperties.times (nested per part for MultiLineString)
+    return lines.flatMap(({ coords, properties, part }) => {
+        let times = properties.coordTimes || properties.coordinateProperties?.times || [];
+        if (part !== undefined && Array.isArray(times[part])) times = times[part];
+        // Positions that are not [lon, lat, alt?] arrays are dropped with the other invalid points
+        return coords.flatMap((c, i) => (Array.isArray(c) ? [point(Number(c[1]), Number(c[0]), {
+            ele: num(c[2]),
+            time: time(times[i]),
+        })] : []));
+    });
+}
+
+function nmeaChecksumOk(sentence) {
+    const star = sentence.lastIndexOf('*');
+    if (star === -1) return true; // checksum is optional
+    let sum = 0;
+    for (let i = 1; i < star; i++) sum ^= sentence.charCodeAt(i);
+    return sum === parseInt(sentence.slice(star + 1, star + 3), 16);
+}
+
+// ddmm.mmmm / dddmm.mmmm + hemisphere -> decimal degrees
+function nmeaCoord(value, hemi) {
+    if (!value) return undefined;
+    const v = Number(value);
+    if (!Number.isFinite(v)) return undefined;
+    const deg = Math.floor(v / 100);
+    const dec = deg + (v - deg * 100) / 60;
+    return hemi === 'S' || hemi === 'W' ? -dec : dec;
+}
+
+function nmeaTime(hhmmss, ddmmyy) {
+    if (!hhmmss || hhmmss.length < 6) return undefined;
+    const h = Number(hhmmss.slice(0, 2));
+    const m = Number(hhmmss.slice(2, 4));
+    const s = Number(hhmmss.slice(4));
+    let y = 1970;
+    let mo = 0;
+    let d = 1;
+    if (ddmmyy && ddmmyy.length === 6) {
+        d = Number(ddmmyy.slice(0, 2));
+        mo = Number(ddmmyy.slice(2, 4)) - 1;
+        const yy = Number(ddmmyy.slice(4, 6));
+        y = yy >= 80 ? 1900 + yy : 2000 + yy;
+    }
+    return Date.UTC(y, mo, d, h, m, 0) + Math.round(s * 1000);
+}
+
+function parseNmea(text) {
+    const rmc = [];
+    const gga = [];
+    const altitudeByTime = new Map();
+
+    for (const raw of String(text).split(/\r?\n/)) {
+        const line = raw.trim();
+        if (!line.startsWith('$') || !nmeaChecksumOk(line)) continue;
+        const fields = line.replace(/\*.*$/, '').split(',');
+        const type = fields[0].slice(3);
+
+        if (type === 'GGA') {
+            if (fields[6] === '0') continue; // no fix
+            const lat = nmeaCoord(fields[2], fields[3]);
+            const lon = nmeaCoord(fields[4], fields[5]);
+            if (lat === undefined || lon === undefined) continue;
+            const ele = num(fields[9]);
+            altitudeByTime.set(fields[1], ele);
+            gga.push(point(lat, lon, { ele, time: nmeaTime(fields[1]) }));
+        } else if (type === 'RMC') {
+            if (fields[2] !== 'A') continue; // void fix
+            const lat = nmeaCoord(fields[3], fields[4]);
+            const lon = nmeaCoord(fields[5], fields[6]);
+            if (lat === undefined || lon === undefined) continue;
+            const knots = num(fields[7]);
+            rmc.push({
+                utc: fields[1],
+                p: point(lat, lon, {
+                    time: nmeaTime(fields[1], fields[9]),
+                    speed: knots !== undefined ? knots * KNOTS_TO_MPS : undefined,
+                    bearing: num(fields[8]),
+                }),
+            });
+        }
+    }
+
+    // RMC carries date, speed and course; GGA only adds altitude for the same fix time
+    if (rmc.length === 0) return gga;
+    return rmc.map(({ utc, p }) => {
+        const ele = altitudeByTime.get(utc);
+        return ele !== undefined ? { ...p, ele } : p;
+    });
+}
+
+function detectFormat(data) {
+    if (data && typeof data === 'object') return 'geojson';
+    const head = String(data || '').trimStart().slice(0, 512);
+    if (head.startsWith('{')) return 'geojson';
+    if (head.startsWith('$')) return 'nmea';
+    if (head.startsWith('<')) {
+        if (/<gpx[\s>]/i.test(head)) return 'gpx';
+        if (/<kml[\s>]/i.test(head)) return 'kml';
+    }
+    return null;
+}
+
+/**
+ * Parse a recorded track into route points for ActionEngine.simulateRoute.
+ * Keeps elevation, timestamps (epoch ms) and speed (m/s) where the format has them.
+ * @param {string|object} data file contents (GeoJSON may already be an object)
+ * @param {string} [format] 'gpx' | 'kml' | 'geojson' | 'nmea'; detected from content when omitted
+ */
+function parseTrack(data, format) {
+    const fmt = format ? String(format).toLowerCase() : detectFormat(data);
+    if (!fmt) throw badInput(`Could not detect track format; pass 'format' (${FORMATS.join(', ')})`);
+    if (!FORMATS.includes(fmt)) throw badInput(`Unsupported track format '${fmt}'; expected one of ${FORMATS.join(', ')}`);
+
+    let points;
+    if (fmt === 'gpx') points = parseGpx(String(data));
+    else if (fmt === 'kml') points = parseKml(String(data));
+    else if (fmt === 'geojson') points = parseGeoJson(data);
+    else points = parseNmea(data);
+
+    points = points.filter((p) => Number.isFinite(p.lat) && Number.isFinite(p.lon)
+        && Math.abs(p.lat) <= 90 && Math.abs(p.lon) <= 180);
+    if (points.length === 0) throw badInput(`No track points found in ${fmt} data`);
+    return { format: fmt, points };
+}
+
+module.exports = { parseTrack, detectFormat, FORMATS };
@@ -0,0 +1,133 @@
+// src/utils/uiHierarchy.js
+// Parse `uiautomator dump` XML into a normalized JSON tree.
+
+const { parseString } = require('xml2js');
+
+const FLAGS = ['checkable', 'checked', 'clickable', 'enabled', 'focusable', 'focused',
+  'scrollable', 'long-clickable', 'password', 'selected'];
+
+// Query/filter keys that match string attributes exactly
+const STRING_FILTERS = ['text', 'resourceId', 'contentDesc', 'class', 'package'];
+// Boolean filters use the camelCase flag names
+const FLAG_FILTERS = FLAGS.map(camel);
+
+function camel(name) {
+  return name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+/**
+ * "[x1,y1][x2,y2]" -> { left, top, right, bottom, width, height, centerX, centerY }
+ * @returns {object|null} null when the string is missing or malformed
+ */
+function parseBounds(bounds) {
+  const m = String(bounds || '').match(/^\[(-?\d+),(-?\d+)\]\[(-?\d+),(-?\d+)\]$/);
+  if (!m) return null;
+  const [left, top, right, bottom] = m.slice(1).map(Number);
+  return {
+    left,
+    top,
+    right,
+    bottom,
+    width: right - left,
+    height: bottom - top,
+    centerX: Math.floor((left + right) / 2),
+    centerY: Math.floor((top + bottom) / 2),
+  };
+}
+
+function normalizeNode(raw, parent, path) {
+  const a = raw.$ || {};
+  const node = {
+    path,
+    index: a.index !== undefined ? Number(a.index) : null,
+    class: a.class || '',
+    package: a.package || '',
+    resourceId: a['resource-id'] || '',
+    text: a.text || '',
+    contentDesc: a['content-desc'] || '',
+    bounds: parseBounds(a.bounds),
+  };
+  for (const flag of FLAGS) node[camel(flag)] = a[flag] === 'true';
+  // Non-enumerable so the tree still serializes to JSON without cycles
+  Object.defineProperty(node, 'parent', { value: parent, enumerable: false });
+  node.children = (raw.node || []).map((child, i) => normalizeNode(child, node, `${path}/${i}`));
+  return node;
+}
+
+/**
+ * The <hierarchy> document from `uiautomator dump` output.
+ * Some builds print "UI hierchary dumped to: ..." around it.
+ */
+function extractHierarchyXml(xml) {
+  const text = String(xml);
+  const start = text.search(/<\?xml|<hierarchy/);
+  const end = text.lastIndexOf('</hierarchy>');
+  if (start < 0 || end < 0) {
+    throw Object.assign(new Error('UI dump did not contain a <hierarchy> document'), { status: 502 });
+  }
+  return text.slice(start, end + '</hierarchy>'.length);
+}
+
+/**
+ * Parse a uiautomator dump.
+ * Every node has `path` ("0/2/1", child positions from the root), class, package, resourceId,
+ * text, contentDesc, numeric bounds, the boolean flags and `children`; `node.parent` is
+ * available but not serialized.
+ * @param {string} xml
+ * @returns {Promise<{rotation: number|null, nodes: object[]}>}
+ */
+async function parseUiXml(xml) {
+  const doc = await new Promise((resolve, reject) => {
+    parseString(extractHierarchyXml(xml), (err, result) => {
+      if (err) reject(Object.assign(new Error(`Could not parse UI dump: ${err.message}`), { status: 502 }));
+      else resolve(result);
+    });
+  });
+  const root = doc.hierarchy || {};
+  const rotation = root.$?.rotation !== undefined ? Number(root.$.rotation) : null;
+  return { rotation, nodes: (root.node || []).map((n, i) => normalizeNode(n, null, String(i))) };
+}
+
+/** Depth-first (document order) list of every node in the tree. */
+function flatten(nodes, out = []) {
+  for (const node of nodes) {
+    out.push(node);
+    flatten(node.children, out);
+  }
+  return out;
+}
+
+/**
+ * Nodes matching every given filter: exact string attributes (text, resourceId, contentDesc,
+ * class, package), `textContains` (case-insensitive) and boolean flags (clickable, enabled, ...).
+ */
+function filterNodes(nodes, filter = {}) {
+  return flatten(nodes).filter((node) => {
+    for (const key of STRING_FILTERS) {
+      if (filter[key] !== undefined && node[key] !== filter[key]) return false;
+    }
+    if (filter.textContains !== undefined
+      && !node.text.toLowerCase().includes(String(filter.textContains).toLowerCase())) return false;
+    for (const key of FLAG_FILTERS) {
+      if (filter[key] !== undefined && node[key] !== filter[key]) return false;
+    }
+    return true;
+  });
+}
+
+/** Copy of a node without its subtree, for flat listings. */
+function withoutChildren(node) {
+  const { children, ...rest } = node;
+  return { ...rest, childCount: children.length };
+}
+
+module.exports = {
+  parseUiXml,
+  extractHierarchyXml,
+  parseBounds,
+  flatten,
+  filterNodes,
+  withoutChildren,
+  STRING_FILTERS,
+  FLAG_FILTERS,
+};
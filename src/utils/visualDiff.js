@@ -0,0 +1,104 @@
+// src/utils/visualDiff.js
+// Compare two RGBA frames pixel by pixel (pixelmatch's perceptual YIQ distance), skipping ignore regions.
+
+const pixelmatch = require('pixelmatch');
+
+// Named regions resolved per device (see platforms/android.js systemBars)
+const IGNORE_PRESETS = ['statusBar', 'navigationBar'];
+const MAX_REGIONS = 50;
+// Ignored areas are tinted in the diff image so reviewers can see what was skipped
+const IGNORED_TINT = [0, 120, 255];
+
+function badOption(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+/**
+ * Validate ignore regions: preset names ("statusBar", "navigationBar") or
+ * { x, y, width, height } rectangles in screen pixels.
+ * @returns {Array<string|{x: number, y: number, width: number, height: number}>}
+ */
+function parseIgnoreRegions(regions, field = 'ignoreRegions') {
+  if (!Array.isArray(regions) || regions.length > MAX_REGIONS) {
+    throw badOption(`'${field}' must be an array of at most ${MAX_REGIONS} regions`);
+  }
+  return regions.map((r, i) => {
+    if (typeof r === 'string') {
+      if (!IGNORE_PRESETS.includes(r)) throw badOption(`'${field}[${i}]' must be one of ${IGNORE_PRESETS.join(', ')} or a rectangle`);
+      return r;
+    }
+    const { x, y, width, height } = r || {};
+    if (![x, y].every((v) => Number.isInteger(v) && v >= 0) || ![width, height].every((v) => Number.isInteger(v) && v >= 1)) {
+      throw badOption(`'${field}[${i}]' must be {x, y, width, height} in screen pixels`);
+    }
+    return { x, y, width, height };
+  });
+}
+
+/** True when any region is a preset that needs the device to resolve it. */
+function hasPresets(regions) {
+  return regions.some((r) => typeof r === 'string');
+}
+
+/**
+ * Replace preset names with rectangles; presets the device has no region for are dropped.
+ * @param {object} presets e.g. { statusBar: {x, y, width, height}, navigationBar: null }
+ */
+function resolveRegions(regions, presets = {}) {
+  return regions.map((r) => (typeof r === 'string' ? presets[r] : r)).filter(Boolean);
+}
+
+/**
+ * Compare `actual` against `baseline`.
+ * @param {{width: number, height: number, data: Buffer}} baseline RGBA
+ * @param {{width: number, height: number, data: Buffer}} actual RGBA
+ * @param {{threshold?: number, ignoreRegions?: object[]}} options threshold 0-1 per pixel (smaller is
+ *   stricter); regions must already be resolved to rectangles
+ * @returns {{sizeMatches: boolean, mismatchedPixels: number, comparedPixels: number, ignoredPixels: number,
+ *   mismatchPercent: number, diff: {width: number, height: number, data: Buffer}|null}}
+ */
+function compareImages(baseline, actual, { threshold = 0.1, ignoreRegions = [] } = {}) {
+  const { width, height } = baseline;
+  if (actual.width !== width || actual.height !== height) {
+    return {
+      sizeMatches: false, mismatchedPixels: null, comparedPixels: 0, ignoredPixels: 0, mismatchPercent: 100, diff: null,
+    };
+  }
+
+  // Ignored pixels are copied from the baseline so they always match
+  const expected = Buffer.from(baseline.data);
+  const got = Buffer.from(actual.data);
+  const ignored = new Uint8Array(width * height);
+  let ignoredPixels = 0;
+  for (const r of ignoreRegions) {
+    const x1 = Math.min(width, r.x + r.width);
+    const y1 = Math.min(height, r.y + r.height);
+    for (let y = Math.min(r.y, height); y < y1; y++) {
+      for (let x = Math.min(r.x, width); x < x1; x++) {
+        const p = y * width + x;
+        if (!ignored[p]) ignoredPixels++;
+        ignored[p] = 1;
+        expected.copy(got, p * 4, p * 4, p * 4 + 4);
+      }
+    }
+  }
+
+  const diff = Buffer.alloc(width * height * 4);
+  const mismatchedPixels = pixelmatch(expected, got, diff, width, height, { threshold });
+  for (let p = 0; p < ignored.length; p++) {
+    if (!ignored[p]) continue;
+    const o = p * 4;
+    for (let c = 0; c < 3; c++) diff[o + c] = Math.round((diff[o + c] + IGNORED_TINT[c]) / 2);
+  }
+  const comparedPixels = width * height - ignoredPixels;
+  return {
+    sizeMatches: true,
+    mismatchedPixels,
+    comparedPixels,
+    ignoredPixels,
+    mismatchPercent: comparedPixels ? Math.round((mismatchedPixels / comparedPixels) * 1e6) / 1e4 : 0,
+    diff: { width, height, data: diff },
+  };
+}
+
+module.exports = { parseIgnoreRegions, hasPresets, resolveRegions, compareImages, IGNORE_PRESETS };